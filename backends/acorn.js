@@ -0,0 +1,46 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+const acorn = require('acorn');
+const jsx = require('acorn-jsx');
+
+module.exports = {
+  languages: ['javascript', 'jsx'],
+  parse,
+};
+
+// JSX is only valid where no other expression can begin, so it's always on
+const Parser = acorn.Parser.extend(jsx());
+
+// Latest ECMAScript acorn knows about
+function parse(aSourceCodes) {
+  let comments = [];
+  const option = {
+    onComment: comments,
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    locations: true,
+    allowHashBang: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true,
+  };
+  try {
+    return Object.assign(Parser.parse(aSourceCodes, option), {comments});
+  } catch(e) {
+    // Sloppy mode scripts(e.g. 'with' statement) are not valid modules
+    option.sourceType = 'script';
+    option.onComment = comments = [];
+    try {
+      return Object.assign(Parser.parse(aSourceCodes, option), {comments});
+    } catch(e) {
+      throw Object.assign(e, {
+        lineNumber: e.loc && e.loc.line,
+        column: e.loc && e.loc.column + 1,
+        description: e.message,
+      });
+    }
+  }
+}
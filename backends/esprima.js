@@ -0,0 +1,31 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+const esprima = require('esprima');
+
+module.exports = {
+  languages: ['javascript', 'jsx'],
+  parse,
+};
+
+// Up to ES2017
+function parse(aSourceCodes, aLanguage) {
+  // Plain .js files may have JSX in it as well, so try it at last
+  const option = {
+    loc: true, comment: true, tolerant: true, jsx: aLanguage === 'jsx',
+  };
+  try {
+    return esprima.parse(aSourceCodes, option);
+  } catch(e) {
+    option.sourceType = 'module';
+    try {
+      return esprima.parse(aSourceCodes, option);
+    } catch(e) {
+      if (option.jsx) throw e;
+      option.jsx = true;
+      return esprima.parse(aSourceCodes, option);
+    }
+  }
+}
@@ -0,0 +1,97 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+// Parser backends. Each of them is a module that exports
+//   languages : languages the backend can parse
+//   parse(aSourceCodes, aLanguage) : returns ESTree compatible Program node
+//     with 'comments' of {type: 'Line' or 'Block', value, loc}.
+//     Syntax errors are thrown with 'lineNumber', 'column'(1-based) and
+//     'description'.
+// ASTs are normalized here so that the tagger sees the same shape of nodes
+// whichever backend produced it.
+const backends = {
+  esprima:    () => require('./esprima.js'),
+  acorn:      () => require('./acorn.js'),
+  typescript: () => require('./typescript.js'),
+};
+
+module.exports = {
+  backendNames: ['auto', ...Object.keys(backends)],
+  parse,
+};
+
+// Backends tried in order by 'auto'
+const AUTO_BACKENDS = {
+  javascript: ['esprima', 'acorn'],
+  jsx:        ['esprima', 'acorn'],
+  typescript: ['typescript'],
+  tsx:        ['typescript'],
+};
+
+// A parser that doesn't know about the language falls back to 'auto'. e.g.
+// TypeScript files are parsed by 'typescript' even if 'esprima' is given.
+function parse(aSourceCodes, {language = 'javascript', parser = 'auto'} = {}) {
+  if (!AUTO_BACKENDS.hasOwnProperty(language)) {
+    throw new TypeError(`Unknown language : ${language}`);
+  }
+  if (parser !== 'auto' && !backends.hasOwnProperty(parser)) {
+    throw new TypeError(`Unknown parser : ${parser}`);
+  }
+
+  const candidates =
+    parser !== 'auto' && backends[parser]().languages.includes(language) ?
+      [parser] : AUTO_BACKENDS[language];
+
+  let error;
+  for (const name of candidates) {
+    try {
+      const ast = normalize(backends[name]().parse(aSourceCodes, language));
+      // Comments aren't nodes of the tree
+      const {comments = []} = ast;
+      delete ast.comments;
+      return Object.defineProperty(ast, 'comments', {value: comments});
+    } catch(e) {
+      error = e;
+    }
+  }
+  throw error;
+}
+
+function normalize(aNode) {
+  if (aNode instanceof Array) {
+    aNode.forEach(normalize);
+    return aNode;
+  }
+  if (!(aNode instanceof Object && aNode.hasOwnProperty('type'))) return aNode;
+
+  // Template elements of acorn leave out '`', '}' before and '${' after them
+  // while those of others include them as literals include quotation marks
+  if (aNode.type === 'TemplateElement' && aNode.hasOwnProperty('start') &&
+      aNode.end - aNode.start === aNode.value.raw.length) {
+    const {start, end} = aNode.loc;
+    aNode.loc = {
+      start: {line: start.line, column: start.column - 1},
+      end: {line: end.line, column: end.column + (aNode.tail ? 1 : 2)},
+    };
+  }
+
+  // Offsets are of no use as 'loc' is there
+  delete aNode.range;
+  delete aNode.start;
+  delete aNode.end;
+
+  // esprima represents dynamic import as a call to the 'Import' node
+  if (aNode.type === 'CallExpression' && aNode.callee.type === 'Import') {
+    aNode.type = 'ImportExpression';
+    aNode.source = aNode.arguments[0];
+    delete aNode.callee;
+    delete aNode.arguments;
+  }
+
+  for (const prop in aNode) {
+    if (prop !== 'loc') normalize(aNode[prop]);
+  }
+  return aNode;
+}
@@ -0,0 +1,23 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+module.exports = {
+  languages: ['typescript', 'tsx', 'javascript', 'jsx'],
+  parse,
+};
+
+function parse(aSourceCodes, aLanguage) {
+  // Loaded lazily as it pulls in the whole TypeScript compiler
+  const {parse} = require('@typescript-eslint/typescript-estree');
+  try {
+    return parse(aSourceCodes, {
+      loc: true,
+      comment: true,
+      jsx: ['tsx', 'jsx'].includes(aLanguage),
+    });
+  } catch(e) {
+    throw Object.assign(e, {column: e.column + 1, description: e.message});
+  }
+}
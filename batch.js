@@ -0,0 +1,89 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require, process */
+
+// Persistent batch mode for external parser protocol of GNU global.
+//
+// Each request is a line on stdin, one of
+//   PATH\n                     : tag the file at PATH
+//   :LENGTH PATH\n<contents>   : tag LENGTH bytes of contents as PATH
+// and tags of a request are written to stdout followed by an empty line as the
+// terminator of the file. Requests are served in order until stdin is closed.
+
+const {readSource, encodingOf, decodeSource} = require('./common.js');
+const {createWriter} = require('./formats.js');
+
+module.exports = {
+  serveBatch,
+};
+
+// aTag(aSource, aPath, aEncoding) returns tags of aSource decoded by
+// aEncoding, which are written by aWriter of a streaming format in formats.js.
+// Sources are decoded as encodingOf() in common.js tells with aEncoding.
+function serveBatch(aTag, aInput = process.stdin, aOutput = process.stdout,
+  aWriter = createWriter('gtags'), aEncoding) {
+  let buffer = Buffer.alloc(0);
+  let contents = null;          // {length, path} of contents being received
+  let pending = Promise.resolve();
+
+  aInput.on('data', aChunk => {
+    buffer = Buffer.concat([buffer, aChunk]);
+    consume();
+  });
+  aInput.on('end', () => {
+    if (contents) {
+      // Reported with the terminator not to keep the caller waiting for it
+      const {length} = contents;
+      enqueue(contents.path, () => Promise.reject(
+        new Error(`Contents ended at ${buffer.length} of ${length} bytes`)));
+    } else if (buffer.length) {
+      request(buffer.toString());
+    }
+  });
+
+  return new Promise(resolve => aInput.on('end', () => pending.then(resolve)));
+
+  function consume() {
+    for (;;) {
+      if (contents) {
+        if (buffer.length < contents.length) return;
+        const data = buffer.slice(0, contents.length);
+        const {path} = contents;
+        const encoding = encodingOf(data, path, aEncoding);
+        const source = {source: decodeSource(data, encoding), encoding};
+        buffer = buffer.slice(contents.length);
+        contents = null;
+        enqueue(path, () => source);
+        continue;
+      }
+
+      const eol = buffer.indexOf('\n');
+      if (eol === -1) return;
+      const line = buffer.slice(0, eol).toString();
+      buffer = buffer.slice(eol + 1);
+
+      const [, length, path] = /^:(\d+) (.+)$/.exec(line) || [];
+      if (path) {
+        contents = {length: Number(length), path};
+      } else {
+        request(line);
+      }
+    }
+  }
+
+  function request(aPath) {
+    if (aPath) enqueue(aPath, () => readSource(aPath, aEncoding));
+  }
+
+  function enqueue(aPath, aReadSource) {
+    pending = pending
+      .then(aReadSource)
+      .then(({source, encoding}) => aWriter.file(aPath, aTag(source, aPath, encoding)))
+      .catch(e => {
+        console.error(`${aPath} : ${e.message || e}`);
+        return '';
+      })
+      .then(aTags => aOutput.write(`${aTags}\n`));
+  }
+}
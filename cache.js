@@ -0,0 +1,106 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require, process */
+
+// On-disk cache of tagging results keyed by hash of what they're made of;
+// contents, path and language of the source, options and the version of this
+// package. An entry is a JSON file named with the hash, written to a
+// temporary file and renamed so that concurrent processes never read a part
+// of it. Least recently used entries are removed when the cache grows larger
+// than its size.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {version} = require('./package.json');
+
+module.exports = {
+  cached,
+  defaultCacheDir,
+};
+
+const DEFAULT_SIZE = 100 * 1024 * 1024;   // bytes
+const EVICTION_RATIO = 0.8;               // of size to shrink down to
+const ENTRY_PATTERN = /^[0-9a-f]{64}\.json$/;
+
+// dir -> estimated bytes of entries in it, which is counted up by entries
+// written by this process and recounted when it gets over the size
+const usages = new Map();
+
+function defaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'gtags-parsers');
+}
+
+// Returns what aCompute() returned for aKey before if it's in the cache at
+// aDir, or computes and stores it. aKey and what aCompute() returns must be
+// JSON serializable. Errors of the file system are ignored as the cache is
+// just for speed.
+//  dir  : directory of the cache, defaultCacheDir() unless given
+//  size : bytes the cache may take
+function cached({dir = defaultCacheDir(), size = DEFAULT_SIZE} = {}, aKey,
+  aCompute) {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([version, aKey]))
+    .digest('hex');
+  const file = path.join(dir, `${hash}.json`);
+
+  try {
+    const value = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const now = new Date();
+    fs.utimesSync(file, now, now);    // for recency of the entry
+    return value;
+  } catch(e) {
+    // Missing, being evicted or broken; computed again and overwritten
+  }
+
+  const value = aCompute();
+  try {
+    const data = JSON.stringify(value);
+    fs.mkdirSync(dir, {recursive: true});
+    const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+    fs.writeFileSync(temporary, data);
+    fs.renameSync(temporary, file);
+
+    if (!usages.has(dir)) usages.set(dir, entriesOf(dir).reduce((s, e) => s + e.size, 0));
+    usages.set(dir, usages.get(dir) + Buffer.byteLength(data));
+    if (usages.get(dir) > size) evict(dir, size);
+  } catch(e) {
+    // Read-only, full disk and the like
+  }
+  return value;
+}
+
+// Removes least recently used entries of aDir until they fit in a ratio of
+// aSize, which leaves room for following entries.
+function evict(aDir, aSize) {
+  const entries = entriesOf(aDir).sort((a, b) => a.mtime - b.mtime);
+  let usage = entries.reduce((s, e) => s + e.size, 0);
+  for (const {file, size} of entries) {
+    if (usage <= aSize * EVICTION_RATIO) break;
+    try {
+      fs.unlinkSync(file);
+    } catch(e) {
+      // Removed by another process
+    }
+    usage -= size;
+  }
+  usages.set(aDir, usage);
+}
+
+function entriesOf(aDir) {
+  return fs.readdirSync(aDir)
+    .filter(name => ENTRY_PATTERN.test(name))
+    .map(name => {
+      const file = path.join(aDir, name);
+      try {
+        const {size, mtimeMs: mtime} = fs.statSync(file);
+        return {file, size, mtime};
+      } catch(e) {
+        return null;
+      }
+    })
+    .filter(entry => entry);
+}
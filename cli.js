@@ -0,0 +1,190 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require, process */
+
+// Command line interface shared by gtags-* commands
+
+const ANSI = require('ansi-string');
+const {printDiagnostic, loadOptions} = require('./common.js');
+const fs = require('fs');
+const path = require('path');
+const {tag, languageOf, languageNames} = require('./index.js');
+const {encodingExists} = require('iconv-lite');
+const {backendNames} = require('./backends/index.js');
+const {serveBatch} = require('./batch.js');
+const {tagFiles} = require('./pool.js');
+const {createWriter, formatNames} = require('./formats.js');
+const {coverageOf, formatCoverage} = require('./coverage.js');
+
+module.exports = {
+  main,
+};
+
+// Tags files given in aArgv as aLanguage, or as guessed from each file name
+// if aLanguage is not given.
+function main(aArgv, aLanguage) {
+  // '--explain NAME' is taken as '--explain=NAME' unless NAME is an option
+  const argv = aArgv.slice();
+  const explainIndex = argv.indexOf('--explain');
+  if (explainIndex >= 0 && explainIndex + 1 < argv.length &&
+    !argv[explainIndex + 1].startsWith('--')) {
+    argv.splice(explainIndex, 2, `--explain=${argv[explainIndex + 1]}`);
+  }
+  const args = argv.filter(v => v.startsWith('--'));
+  const options = loadOptions(args);
+  const {
+    locals = 'all', parser = 'auto', batch, jobs = 1, format = 'gtags',
+    encoding, columns = 'utf16', explain, coverage,
+  } = options;
+  if (!['all', 'skip', 'scope'].includes(locals)) {
+    console.warn(`Invalid --locals=${locals} : one of all, skip or scope`);
+    process.exit(1);
+  }
+  if (!backendNames.includes(parser)) {
+    console.warn(`Invalid --parser=${parser} : one of ${backendNames.join(', ')}`);
+    process.exit(1);
+  }
+  if (!(Number(jobs) >= 1)) {
+    console.warn(`Invalid --jobs=${jobs} : a positive number`);
+    process.exit(1);
+  }
+  if (!formatNames().includes(format)) {
+    console.warn(`Invalid --format=${format} : one of ${formatNames().join(', ')}`);
+    process.exit(1);
+  }
+  if (encoding !== undefined && !encodingExists(String(encoding))) {
+    console.warn(`Invalid --encoding=${encoding} : unknown encoding`);
+    process.exit(1);
+  }
+  if (!['utf16', 'codepoints', 'bytes'].includes(columns)) {
+    console.warn(`Invalid --columns=${columns} : one of utf16, codepoints or bytes`);
+    process.exit(1);
+  }
+  if (format === 'lsif' && columns !== 'utf16') {
+    // as positionEncoding of the dump and lengths of names for ends of ranges
+    console.warn(`--columns=${columns} is ignored : LSIF positions are of UTF-16`);
+    delete options.columns;
+  }
+  if (explain !== undefined &&
+    (typeof explain !== 'string' || !/^[^:]+(:\d+)?$/.test(explain))) {
+    console.warn(`Invalid --explain=${explain} : NAME or NAME:LINE`);
+    process.exit(1);
+  }
+  if (batch && coverage) {
+    console.warn('--coverage can\'t be used with --batch');
+    process.exit(1);
+  }
+  const cacheSize = options['cache-size'];
+  if (cacheSize !== undefined && !(Number(cacheSize) > 0)) {
+    console.warn(`Invalid --cache-size=${cacheSize} : a positive number of MB`);
+    process.exit(1);
+  }
+  // --cache-dir implies --cache and --no-cache overrides both in the config
+  options.cache = !options['no-cache'] && Boolean(options.cache || options['cache-dir']) && {
+    dir: typeof options['cache-dir'] === 'string' ? options['cache-dir'] : undefined,
+    size: cacheSize && Number(cacheSize) * 1024 * 1024,
+  };
+  ['cache-dir', 'cache-size', 'no-cache'].forEach(name => delete options[name]);
+
+  const writer = createWriter(format);
+  if (batch && !writer.streaming) {
+    console.warn(`--format=${format} can't be used with --batch`);
+    process.exit(1);
+  }
+
+  const report = ({tags, diagnostics}) => {
+    diagnostics
+      .filter(({severity}) => options.debug || severity !== 'debug')
+      .forEach(printDiagnostic);
+    return tags;
+  };
+
+  if (batch) {
+    serveBatch((aSource, aPath, aEncoding) => report(tag(aSource, {
+      path: aPath,
+      language: aLanguage,
+      options: Object.assign({}, options, {encoding: aEncoding}),
+    })), process.stdin, process.stdout, writer, encoding);
+    return;
+  }
+
+  const sourceFiles = argv.filter(v => !args.includes(v));
+  if (sourceFiles.length === 0) {
+    console.warn('No args');
+    process.exit(1);
+  }
+
+  const tagger = {
+    module: require.resolve('./index.js'),
+    method: 'tagFile',
+    options: {language: aLanguage, options},
+  };
+  if (coverage) {
+    // Unknown identifiers are summarized instead of tags and diagnostics
+    const diagnostics = [];
+    tagFiles(filesIn(sourceFiles, aLanguage), tagger, Number(jobs),
+      ({result, error}) => {
+        if (result) {
+          diagnostics.push(...result.diagnostics);
+        } else {
+          console.error(error);
+          process.exitCode = 1;
+        }
+      }).then(() => process.stdout.write(formatCoverage(coverageOf(diagnostics))));
+    return;
+  }
+
+  tagFiles(sourceFiles, tagger, Number(jobs), ({path, result, error}) => {
+    if (!error) {
+      process.stdout.write(writer.file(path, report(result)));
+    } else if (error instanceof TypeError) {
+      console.warn(ANSI.red`[WARNING] ${path} is not a valid source or empty.`);
+    } else {
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }).then(() => process.stdout.write(writer.end()));
+}
+
+// Files of aPaths with files in directories of them, which are of aLanguage or
+// JavaScript and TypeScript unless given. node_modules and hidden ones are
+// skipped, and so are empty files and ones of languages without taggers that
+// there's nothing to cover in. Ones that can't be read like broken symbolic
+// links are kept to be reported.
+function filesIn(aPaths, aLanguage) {
+  const isSource = aLanguage ?
+    aFile => languageOf(aFile) === aLanguage :
+    aFile => /\.([cm]?[jt]s|[jt]sx)$/i.test(aFile);
+  const statOf = aFile => {
+    try {
+      return fs.statSync(aFile);
+    } catch(e) {
+      return null;    // Reported when it's tagged
+    }
+  };
+  const isTaggable = aFile => {
+    const stat = statOf(aFile);
+    return !stat || stat.size > 0 &&
+      languageNames().includes(aLanguage || languageOf(aFile));
+  };
+  const files = [];
+  for (const file of aPaths) {
+    const stat = statOf(file);
+    if (!stat || !stat.isDirectory()) {
+      if (isTaggable(file)) files.push(file);
+      continue;
+    }
+    for (const entry of fs.readdirSync(file, {withFileTypes: true}).sort(
+      (a, b) => a.name < b.name ? -1 : 1)) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const entryPath = path.join(file, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...filesIn([entryPath], aLanguage));
+      } else if (isSource(entryPath) && isTaggable(entryPath)) {
+        files.push(entryPath);
+      }
+    }
+  }
+  return files;
+}
@@ -3,30 +3,163 @@
 
 /* global module, require, process */
 const fs = require('fs');
+const ANSI = require('ansi-string');
+const iconv = require('iconv-lite');
 module.exports = {
   readFile,
+  readSource,
+  encodingOf,
+  decodeSource,
+  normalizeSource,
+  columnOf,
+  lineAt,
   exitWithError,
   printTag,
+  formatTag,
+  printDiagnostic,
+  parseOptions,
+  loadOptions,
+  isCustomElementName,
 };
 
-function readFile(aSourceFile) {
+const CONFIG_FILE = '.gtags-parsers.json';
+
+function readFile(aSourceFile, aEncoding) {
+  return readSource(aSourceFile, aEncoding).then(({source}) => source);
+}
+
+// {source, encoding} of aSourceFile decoded by encodingOf()
+function readSource(aSourceFile, aEncoding) {
   return new Promise((resolve, reject) => {
     fs.readFile(aSourceFile, (err, data) => {
       if (err) {
         reject(err);
       } else {
-        resolve(data.toString().replace(/^#!.*/, ''));  // remove shebang
+        const encoding = encodingOf(data, aSourceFile, aEncoding);
+        resolve({source: decodeSource(data, encoding), encoding});
       }
     });
   });
 }
 
+// Encoding of aBuffer; that of its BOM, aEncoding, '<meta charset>' in the
+// first 1024 bytes if aPath is of HTML, or 'utf-8' in the order.
+function encodingOf(aBuffer, aPath = '', aEncoding) {
+  if (aBuffer[0] === 0xEF && aBuffer[1] === 0xBB && aBuffer[2] === 0xBF) {
+    return 'utf-8';
+  } else if (aBuffer[0] === 0xFF && aBuffer[1] === 0xFE) {
+    return 'utf-16le';
+  } else if (aBuffer[0] === 0xFE && aBuffer[1] === 0xFF) {
+    return 'utf-16be';
+  } else if (aEncoding) {
+    return aEncoding;
+  }
+  if (/\.x?html?$/i.test(aPath)) {
+    const head = aBuffer.slice(0, 1024).toString('latin1');
+    const [, charset] = /<meta\s[^>]*charset\s*=\s*["']?([\w.:-]+)/i.exec(head) || [];
+    // As browsers do, UTF-16 declared in ASCII compatible bytes is UTF-8
+    if (charset && iconv.encodingExists(charset) && !/^utf-?16/i.test(charset)) {
+      return charset.toLowerCase();
+    }
+  }
+  return 'utf-8';
+}
+
+function decodeSource(aBuffer, aEncoding = 'utf-8') {
+  return normalizeSource(iconv.decode(aBuffer, aEncoding));
+}
+
+// Removes BOM and shebang, and makes line breaks LF so that no '\r' is left
+// at the end of refs of tags
+function normalizeSource(aSource) {
+  return aSource
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/^#!.*/, '');  // remove shebang
+}
+
+// 1-based aColumn of UTF-16 code units in aLine counted in aUnit instead; one
+// of 'utf16', 'codepoints' or 'bytes' of aLine encoded by aEncoding
+function columnOf(aLine, aColumn, aUnit, aEncoding = 'utf-8') {
+  const prefix = aLine.slice(0, aColumn - 1);
+  switch (aUnit) {
+    case 'codepoints':
+      return Array.from(prefix).length + 1;
+    case 'bytes':
+      return iconv.encode(prefix, aEncoding).length + 1;
+  }
+  return aColumn;
+}
+
+// 1-based line of aOffset by aLineStarts, sorted offsets where lines start
+function lineAt(aLineStarts, aOffset) {
+  let low = 0, high = aLineStarts.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (aLineStarts[middle] <= aOffset) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
 function exitWithError(aError) {
   console.error(`${aError}`);
-  process.exit(aError.errno);
+  process.exit(aError.errno || 1);
+}
+
+function printTag(aTag) {
+  console.log(formatTag(aTag));
+}
+
+function formatTag({type, name, path, line, column, ref}) {
+  return `${type},${name},${path},${line}:${column},${ref}`;
+}
+
+function printDiagnostic({severity, message, path, line, column, astPath}) {
+  const color = {error: ANSI.red, warning: ANSI.yellow}[severity] || ANSI.green;
+  const location = [path, line, column].filter(v => v).join(':');
+  console.error(color`${location}: ${severity}: ${message}`);
+  if (astPath) console.error(color`  AST Path : ${astPath}`);
+}
+
+
+// ['--foo=bar', '--baz'] => {foo: 'bar', baz: true}
+function parseOptions(aOptions) {
+  const options = {};
+  for (const option of aOptions) {
+    const [name, ...value] = option.replace(/^--/, '').split('=');
+    options[name] = value.length ? value.join('=') : true;
+  }
+  return options;
 }
 
-function printTag({type, name, path, line, column, ref}) {
-  console.log(`${type},${name},${path},${line}:${column},${ref}`);
+// Options in the JSON config file overridden by the command line options.
+// The config file is given by --config or CONFIG_FILE in current directory.
+function loadOptions(aOptions) {
+  const options = parseOptions(aOptions);
+  const configFile = options.config || CONFIG_FILE;
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(configFile));
+  } catch(e) {
+    if (options.config || e.code !== 'ENOENT') {
+      exitWithError(`Invalid config ${configFile} : ${e.message}`);
+    }
+  }
+  return Object.assign(config, options);
 }
 
+// Names of elements that have a hyphen but aren't custom ones
+const HYPHENATED_ELEMENTS = [
+  'annotation-xml', 'color-profile', 'font-face', 'font-face-src',
+  'font-face-uri', 'font-face-format', 'font-face-name', 'missing-glyph',
+];
+
+// Valid names of custom elements have a hyphen and no upper case letter
+function isCustomElementName(aName) {
+  return typeof aName === 'string' && /^[a-z][^\sA-Z/>]*-[^\sA-Z/>]*$/.test(aName) &&
+    !HYPHENATED_ELEMENTS.includes(aName);
+}
@@ -0,0 +1,38 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module */
+
+// Coverage of rules of determineTagType() in js-parser.js; combinations of
+// 'Parent.prop' that identifiers are at but no rule handles, which are
+// reported as 'unknown-identifier' diagnostics.
+
+module.exports = {
+  coverageOf,
+  formatCoverage,
+};
+
+// [{rule, count, example}] of unknown identifiers in aDiagnostics from the
+// most frequent rule, where example is the first diagnostic of the rule
+function coverageOf(aDiagnostics) {
+  const rules = new Map();
+  for (const diagnostic of aDiagnostics) {
+    if (diagnostic.code !== 'unknown-identifier') continue;
+    const {rule} = diagnostic;
+    if (!rules.has(rule)) rules.set(rule, {rule, count: 0, example: diagnostic});
+    ++rules.get(rule).count;
+  }
+  return Array.from(rules.values())
+    .sort((a, b) => b.count - a.count || (a.rule < b.rule ? -1 : 1));
+}
+
+// Table of aCoverage of coverageOf() as a string
+function formatCoverage(aCoverage) {
+  if (aCoverage.length === 0) return 'No unknown identifiers\n';
+  const width = Math.max(...aCoverage.map(({rule}) => rule.length));
+  const total = aCoverage.reduce((sum, {count}) => sum + count, 0);
+  return aCoverage.map(({rule, count, example: {path, line, column, name}}) =>
+    `${String(count).padStart(6)}  ${rule.padEnd(width)}  ${path}:${line}:${column} ${name}\n`)
+    .concat(`${total} unknown identifiers of ${aCoverage.length} rules\n`)
+    .join('');
+}
@@ -0,0 +1,192 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+const {readFile, normalizeSource, lineAt} = require('./common.js');
+
+const postcss = require('postcss');
+const postcssSCSS = require('postcss-scss');
+const selectorParser = require('postcss-selector-parser');
+
+module.exports = {
+  tagCSS,
+  tagCSSFile,
+};
+
+const DEF = 'D';
+const REF = 'R';
+
+// Keywords of 'animation' shorthand that aren't names of keyframes
+const ANIMATION_KEYWORDS = [
+  'none', 'infinite', 'normal', 'reverse', 'alternate', 'alternate-reverse',
+  'forwards', 'backwards', 'both', 'running', 'paused', 'linear', 'ease',
+  'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end',
+  'initial', 'inherit', 'unset', 'revert',
+];
+
+// Definitions are class and id selectors, @keyframes, custom properties
+// (--foo), SCSS @mixin and $variables. References are var(--foo), @include,
+// $variables in values and keyframes in animation(-name).
+// aSource may be a list of declarations as of 'style' attributes.
+// aOptions.language is 'css' or 'scss' and guessed from the extension of
+// aPath unless given.
+// aOptions.diagnostics is an array that syntax errors are pushed into as
+// {severity, message, path, line, column}.
+function tagCSS(aSource, aPath, aLineOffset = 0, aColumnOffset = 0,
+  aOptions = {}) {
+  if (!aSource || !aPath) {
+    throw new TypeError('Source code and its path must be given.');
+  }
+  const source = normalizeSource(aSource);
+  const isSCSS = aOptions.language === 'scss' || /\.scss$/i.test(aPath);
+
+  let root;
+  try {
+    root = (isSCSS ? postcssSCSS : postcss).parse(source);
+  } catch(e) {
+    if (e.name !== 'CssSyntaxError') throw e;
+    (aOptions.diagnostics || []).push({
+      severity: 'error',
+      message: e.reason,
+      path: aPath,
+      line: e.line + aLineOffset,
+      column: e.line === 1 ? e.column + aColumnOffset : e.column,
+    });
+    return [];
+  }
+
+  const tags = [];
+  const sources = source.split('\n');
+  const lineStarts = [0];
+  for (let i = source.indexOf('\n'); i !== -1; i = source.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+  const addTag = (aType, aName, aOffset, aKind) => {
+    const line = lineAt(lineStarts, aOffset);
+    const column = aOffset - lineStarts[line - 1] + 1;
+    tags.push({
+      type: aType,
+      name: aName,
+      line: line + aLineOffset,
+      column: line === 1 ? column + aColumnOffset : column,
+      kind: aKind,
+      path: aPath,
+      ref: sources[line - 1],
+    });
+  };
+
+  root.walk(node => {
+    const {offset} = node.source.start;
+    switch (node.type) {
+      case 'rule':
+        tagSelector(node, offset, addTag);
+        break;
+      case 'decl':
+        tagDeclaration(node, offset, addTag);
+        break;
+      case 'atrule':
+        tagAtRule(node, offset, addTag);
+        break;
+    }
+  });
+  return tags;
+}
+
+function tagCSSFile(aPath, aOptions = {}) {
+  return readFile(aPath, aOptions.encoding)
+    .then(src => tagCSS(src, aPath, 0, 0, aOptions));
+}
+
+function tagSelector(aRule, aOffset, aAddTag) {
+  if (aRule.parent.type === 'atrule' && /keyframes$/.test(aRule.parent.name)) {
+    return;   // from, to and percentages
+  }
+  const selector = aRule.raws.selector ? aRule.raws.selector.raw : aRule.selector;
+  try {
+    selectorParser(selectors => {
+      selectors.walk(({type, value, sourceIndex}) => {
+        const kind = {class: 'css-class', id: 'css-id'}[type];
+        if (kind) aAddTag(DEF, value, aOffset + sourceIndex + 1, kind);
+      });
+    }).processSync(selector);
+  } catch(e) {
+    return;   // SCSS interpolations and the like
+  }
+
+  // BEM style suffixes of SCSS like '.btn { &-primary {} }'
+  const {parent} = aRule;
+  if (parent.type !== 'rule') return;
+  const parentClasses = parent.selectors
+    .map(s => (/\.(-?[_a-zA-Z][\w-]*)$/.exec(s) || [])[1])
+    .filter(c => c);
+  const suffixPattern = /(^|,\s*)&([\w-]+)/g;
+  for (let match; (match = suffixPattern.exec(selector)); ) {
+    const offset = aOffset + match.index + match[1].length;
+    parentClasses.forEach(c => aAddTag(DEF, c + match[2], offset, 'css-class'));
+  }
+}
+
+function tagDeclaration(aDecl, aOffset, aAddTag) {
+  const {prop, raws} = aDecl;
+  const locals = mixinParamsOf(aDecl);
+  if (prop.startsWith('--')) {
+    aAddTag(DEF, prop, aOffset, 'custom-property');
+  } else if (prop.startsWith('$') && !locals.includes(prop)) {
+    aAddTag(DEF, prop, aOffset, 'variable');
+  }
+
+  const value = raws.value ? raws.value.raw : aDecl.value;
+  const valueOffset = aOffset + prop.length + (raws.between || '').length;
+  tagValue(value, valueOffset, aAddTag, locals);
+
+  if (/^(-webkit-|-moz-)?animation(-name)?$/.test(prop)) {
+    // Function calls like cubic-bezier() are blanked out keeping offsets
+    const names = value.replace(/[\w-]+\([^)]*\)/g, m => ' '.repeat(m.length));
+    const namePattern = /(^|[\s,])(-?[_a-zA-Z][\w-]*)(?=$|[\s,;!])/g;
+    for (let match; (match = namePattern.exec(names)); ) {
+      const [, prefix, name] = match;
+      if (ANIMATION_KEYWORDS.includes(name.toLowerCase())) continue;
+      aAddTag(REF, name, valueOffset + match.index + prefix.length, 'reference');
+    }
+  }
+}
+
+function tagAtRule(aAtRule, aOffset, aAddTag) {
+  const {name, params, raws} = aAtRule;
+  const paramsOffset = aOffset + 1 + name.length + (raws.afterName || '').length;
+  const [identifier] = /^-?[_a-zA-Z][\w-]*/.exec(params) || [];
+
+  if (/^(-\w+-)?keyframes$/.test(name) && identifier) {
+    aAddTag(DEF, identifier, paramsOffset, 'keyframes');
+  } else if (name === 'mixin') {
+    if (identifier) aAddTag(DEF, identifier, paramsOffset, 'mixin');
+    return;   // Parameters are local to the mixin
+  } else if (name === 'include' && identifier) {
+    aAddTag(REF, identifier, paramsOffset, 'reference');
+  }
+  tagValue(params, paramsOffset, aAddTag, mixinParamsOf(aAtRule));
+}
+
+// $parameters of @mixin's that aNode is in, which are local to them
+function mixinParamsOf(aNode) {
+  const params = [];
+  const pattern = /[(,]\s*(\$[_a-zA-Z][\w-]*)(?=\s*([:,)]|\.\.\.))/g;
+  for (let node = aNode.parent; node; node = node.parent) {
+    if (node.type !== 'atrule' || node.name !== 'mixin') continue;
+    for (let match; (match = pattern.exec(node.params)); ) params.push(match[1]);
+  }
+  return params;
+}
+
+// var(--foo) and $foo in values but aLocals
+function tagValue(aValue, aOffset, aAddTag, aLocals = []) {
+  const pattern = /var\(\s*(--[\w-]+)|(\$[_a-zA-Z][\w-]*)/g;
+  for (let match; (match = pattern.exec(aValue)); ) {
+    const [whole, custom, variable] = match;
+    const name = custom || variable;
+    if (aLocals.includes(name)) continue;
+    aAddTag(REF, name, aOffset + match.index + whole.length - name.length,
+      'reference');
+  }
+}
@@ -0,0 +1,229 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require, process */
+
+// Output formats. A writer takes tags of files one by one and returns texts to
+// be written out:
+//   file(aPath, aTags) : text for tags of a file
+//   end()              : text to finish the output with
+// Writers of 'streaming' formats write each file as it comes, so they can be
+// used in batch mode. Others hold tags until end() to write a whole index.
+
+const path = require('path');
+const {pathToFileURL} = require('url');
+const {formatTag} = require('./common.js');
+const {languageOf} = require('./index.js');
+const {version} = require('./package.json');
+
+module.exports = {
+  formatNames: () => Object.keys(writers),
+  createWriter,
+};
+
+const DEF = 'D';
+
+const writers = {
+  gtags: createGtagsWriter,
+  ctags: createCtagsWriter,
+  etags: createEtagsWriter,
+  jsonl: createJSONLinesWriter,
+  lsif:  createLSIFWriter,
+};
+
+function createWriter(aFormat = 'gtags') {
+  if (!writers.hasOwnProperty(aFormat)) {
+    throw new TypeError(`Unknown format : ${aFormat}`);
+  }
+  return writers[aFormat]();
+}
+
+// type,name,path,line:column,ref that customized GNU global reads
+function createGtagsWriter() {
+  return {
+    streaming: true,
+    file: (aPath, aTags) => aTags.map(t => `${formatTag(t)}\n`).join(''),
+    end: () => '',
+  };
+}
+
+function createJSONLinesWriter() {
+  return {
+    streaming: true,
+    file: (aPath, aTags) => aTags.map(t => `${JSON.stringify(t)}\n`).join(''),
+    end: () => '',
+  };
+}
+
+// Universal Ctags tags file of definitions, sorted by name
+function createCtagsWriter() {
+  const lines = [];
+  return {
+    streaming: false,
+    file(aPath, aTags) {
+      aTags.filter(({type}) => type === DEF)
+        .forEach(t => lines.push(ctagsLine(t)));
+      return '';
+    },
+    end() {
+      const header = [
+        '!_TAG_FILE_FORMAT\t2\t/extended format; --format=1 will not append ;" to lines/',
+        '!_TAG_FILE_SORTED\t1\t/0=unsorted, 1=sorted, 2=foldcase/',
+        '!_TAG_PROGRAM_NAME\tgtags-parsers\t//',
+        `!_TAG_PROGRAM_VERSION\t${version}\t//`,
+      ];
+      const sorted = lines.sort((a, b) => a < b ? -1 : a > b ? 1 : 0);
+      return [...header, ...sorted].map(l => `${l}\n`).join('');
+    },
+  };
+}
+
+function ctagsLine({name, path, line, ref, kind, scope, scopeKind}) {
+  // Only '/' and '\' are special in search patterns of tags file
+  const pattern = ref.replace(/[\\/]/g, c => `\\${c}`);
+  const fields = [];
+  if (kind) fields.push(`kind:${kind}`);
+  fields.push(`line:${line}`);
+  if (scope) fields.push(`${scopeKind || 'scope'}:${scope}`);
+  return `${name}\t${path}\t/^${pattern}$/;"\t${fields.join('\t')}`;
+}
+
+// Emacs TAGS of definitions. Character offsets of lines are left out; Emacs
+// finds tags by line number and the text of definition then.
+function createEtagsWriter() {
+  return {
+    streaming: true,
+    file(aPath, aTags) {
+      const entries = aTags.filter(({type}) => type === DEF)
+        .map(({name, line, column, ref}) => {
+          const end = column - 1 + name.length;
+          const text = ref.substr(column - 1, name.length) === name ?
+            ref.slice(0, end) : ref;
+          return `${text}\x7f${name}\x01${line},\n`;
+        })
+        .join('');
+      if (!entries) return '';
+      return `\x0c\n${aPath},${Buffer.byteLength(entries)}\n${entries}`;
+    },
+    end: () => '',
+  };
+}
+
+// SymbolKind of LSP for tag kinds
+const LSIF_SYMBOL_KINDS = {
+  namespace: 3,
+  class: 5,
+  method: 6,
+  getter: 6,
+  setter: 6,
+  property: 7,
+  field: 8,
+  constructor: 9,
+  enum: 10,
+  interface: 11,
+  function: 12,
+  variable: 13,
+  parameter: 13,
+  constant: 14,
+  enumerator: 22,
+};
+
+const LSIF_LANGUAGE_IDS = {
+  jsx: 'javascriptreact',
+  tsx: 'typescriptreact',
+};
+
+// LSIF dump. Tags of the same name are linked together as definitions and
+// references of a symbol as global does.
+function createLSIFWriter() {
+  const elements = [];
+  const documents = [];
+  const symbols = new Map();    // name -> {definitions, references}
+  let lastId = 0;
+  const emit = aElement => {
+    const id = ++lastId;
+    elements.push(Object.assign({id}, aElement));
+    return id;
+  };
+  const vertex = (aLabel, aProps) =>
+    emit(Object.assign({type: 'vertex', label: aLabel}, aProps));
+  const edge = (aLabel, aProps) =>
+    emit(Object.assign({type: 'edge', label: aLabel}, aProps));
+
+  vertex('metaData', {
+    version: '0.4.3',
+    positionEncoding: 'utf-16',
+    projectRoot: fileURI(process.cwd()),
+    toolInfo: {name: 'gtags-parsers', version},
+  });
+  const project = vertex('project', {kind: 'javascript'});
+
+  return {
+    streaming: false,
+    file(aPath, aTags) {
+      const document = vertex('document', {
+        uri: fileURI(aPath),
+        languageId: LSIF_LANGUAGE_IDS[languageOf(aPath)] || languageOf(aPath),
+      });
+      documents.push(document);
+
+      const ranges = aTags.map(({type, name, line, column, kind, scope}) => {
+        const start = {line: line - 1, character: column - 1};
+        const end = {line: line - 1, character: column - 1 + name.length};
+        const tag = type === DEF ? {
+          type: 'definition',
+          text: name,
+          kind: LSIF_SYMBOL_KINDS[kind] || LSIF_SYMBOL_KINDS.variable,
+          fullRange: {start, end},
+          detail: scope ? `${scope}.${name}` : undefined,
+        } : {type: 'reference', text: name};
+        const range = vertex('range', {start, end, tag});
+
+        if (!symbols.has(name)) symbols.set(name, {definitions: [], references: []});
+        const symbol = symbols.get(name);
+        (type === DEF ? symbol.definitions : symbol.references)
+          .push({document, range});
+        return range;
+      });
+      if (ranges.length) edge('contains', {outV: document, inVs: ranges});
+      return '';
+    },
+    end() {
+      if (documents.length) edge('contains', {outV: project, inVs: documents});
+
+      for (const {definitions, references} of symbols.values()) {
+        const resultSet = vertex('resultSet');
+        [...definitions, ...references].forEach(({range}) =>
+          edge('next', {outV: range, inV: resultSet}));
+
+        if (definitions.length) {
+          const definitionResult = vertex('definitionResult');
+          edge('textDocument/definition', {outV: resultSet, inV: definitionResult});
+          itemEdges(definitionResult, definitions);
+        }
+        const referenceResult = vertex('referenceResult');
+        edge('textDocument/references', {outV: resultSet, inV: referenceResult});
+        itemEdges(referenceResult, definitions, 'definitions');
+        itemEdges(referenceResult, references, 'references');
+      }
+      return elements.map(e => `${JSON.stringify(e)}\n`).join('');
+    },
+  };
+
+  // 'item' edge per document
+  function itemEdges(aResult, aLocations, aProperty) {
+    const byDocument = new Map();
+    for (const {document, range} of aLocations) {
+      if (!byDocument.has(document)) byDocument.set(document, []);
+      byDocument.get(document).push(range);
+    }
+    for (const [document, ranges] of byDocument) {
+      edge('item', Object.assign({outV: aResult, inVs: ranges, document},
+        aProperty ? {property: aProperty} : {}));
+    }
+  }
+}
+
+function fileURI(aPath) {
+  return pathToFileURL(path.resolve(aPath)).href;
+}
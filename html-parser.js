@@ -0,0 +1,285 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+const {readFile, normalizeSource, lineAt, isCustomElementName} = require('./common.js');
+const {tagJavaScript} = require('./js-parser.js');
+const {tagCSS} = require('./css-parser.js');
+const htmlparser = require('htmlparser2');
+const {decodeHTML} = require('entities');
+
+module.exports = {
+  tagHTML,
+  tagHTMLFile,
+  tagMarkup,
+};
+
+const DEF = 'D';
+const REF = 'R';
+
+// Attributes of URLs that may be 'javascript:'
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction'];
+
+// Attributes referring to ids of other elements by space separated list, and
+// elements they are of; null for any element.
+const ID_REFERENCE_ATTRIBUTES = {
+  'for':                    ['label', 'output'],
+  'form': [
+    'button', 'fieldset', 'input', 'object', 'output', 'select', 'textarea',
+  ],
+  'list':                   ['input'],
+  'headers':                ['td', 'th'],
+  'aria-activedescendant':  null,
+  'aria-controls':          null,
+  'aria-describedby':       null,
+  'aria-details':           null,
+  'aria-errormessage':      null,
+  'aria-flowto':            null,
+  'aria-labelledby':        null,
+  'aria-owns':              null,
+};
+
+// Attributes of URLs that refer to ids by fragments like '#foo'
+const FRAGMENT_ATTRIBUTES = ['href', 'xlink:href'];
+
+const ATTRIBUTE_PATTERN =
+  /\s([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Languages of <script lang="..."> and <style lang="...">
+const SCRIPT_LANGUAGES = {
+  js: 'javascript', jsx: 'jsx', ts: 'typescript', tsx: 'tsx',
+};
+const STYLE_LANGUAGES = {css: 'css', scss: 'scss'};
+
+// aOptions are passed to tagJavaScript for inline scripts, event handler
+// attributes and 'javascript:' URLs, and to tagCSS for inline styles and
+// 'style' attributes
+function tagHTML(aSource, aPath, aLineOffset = 0, aColumnOffset = 0,
+  aOptions = {}) {
+  return tagMarkup(aSource, aPath, aLineOffset, aColumnOffset, aOptions, {});
+}
+
+// Tags markup based on HTML. aDialect has hooks for templates that extend
+// HTML, each called with a context of {addTag, tagScript}:
+//  attributePattern : RegExp of attributes, [name, double quoted, single
+//                     quoted, other value], instead of that of HTML
+//  element(aName, aOffset, aContext) : for each open tag named as written,
+//    returning true if its name is taken care of
+//  attribute({element, name, nameOffset, value, valueOffset}, aContext) :
+//    for each attribute, returning true if nothing is left for HTML to tag
+//  text(aText, aOffset, aContext) : for text between tags
+//  scriptTagger : tagger of <script>s instead of tagJavaScript
+//  mask(aSource) : the source for the parser of the same length, where what
+//                  would confuse it is blanked out
+// addTag(aType, aName, aOffset, aKind) tags a name at aOffset of aSource and
+// tagScript(aCode, aOffset, aWrapper) tags JavaScript there as tagCode does.
+function tagMarkup(aSource, aPath, aLineOffset, aColumnOffset, aOptions,
+  aDialect) {
+  if (!aSource || !aPath) {
+    throw new TypeError('Source code and its path must be given.');
+  }
+  const source = normalizeSource(aSource);
+  // sourceMappingURL of scripts would be relative to the page
+  const scriptOptions = Object.assign({}, aOptions,
+    {language: 'javascript', sourceMap: false});
+  const styleOptions = Object.assign({}, aOptions, {language: 'css'});
+  const scriptTagger = aDialect.scriptTagger || tagJavaScript;
+
+  const tags = [];
+  const sources = source.split('\n');
+  const lineStarts = [0];
+  sources.slice(0, -1).forEach((l, i) => lineStarts.push(lineStarts[i] + l.length + 1));
+
+  // 1-based {line, column} of aOffset in the source
+  const positionAt = aOffset => {
+    const line = lineAt(lineStarts, aOffset);
+    return {line, column: aOffset - lineStarts[line - 1] + 1};
+  };
+
+  const addTag = (aType, aName, aOffset, aKind) => {
+    const {line, column} = positionAt(aOffset);
+    tags.push({
+      type: aType,
+      name: aName,
+      line: line + aLineOffset,
+      column: line === 1 ? column + aColumnOffset : column,
+      kind: aKind,
+      path: aPath,
+      ref: sources[line - 1],
+    });
+  };
+
+  // Code is padded to its column so that tags of it are at columns of HTML
+  // and refer to lines of HTML. aWrapper is [prologue, epilogue] of lines
+  // around the code that the code needs to be parsed in, whose tags like
+  // 'event' of '(function(event) {' are dropped.
+  const tagCode = (aTagger, aCode, aOffset, aCodeOptions, aWrapper) => {
+    if (!aCode.trim()) return;
+    const {line, column} = positionAt(aOffset);
+    const [prologue, epilogue] = aWrapper ? aWrapper.map(l => [l]) : [[], []];
+    const code = [...prologue, ' '.repeat(column - 1) + aCode, ...epilogue].join('\n');
+    const lineOffset = line - 1 - prologue.length + aLineOffset;
+    const firstLine = line + aLineOffset;
+    const lastLine = firstLine + aCode.split('\n').length - 1;
+    for (const tag of aTagger(code, aPath, lineOffset, 0, aCodeOptions)) {
+      if (tag.line < firstLine || tag.line > lastLine) continue;
+      if (tag.line === 1 + aLineOffset) tag.column += aColumnOffset;
+      tag.ref = sources[tag.line - aLineOffset - 1];
+      tags.push(tag);
+    }
+  };
+
+  const tagScript = (aCode, aOffset, aWrapper) =>
+    tagCode(tagJavaScript, decodeEntities(aCode), aOffset, scriptOptions, aWrapper);
+  const context = {addTag, tagScript};
+
+  // Attributes are scanned in raw text of an open tag at aOffset as the
+  // parser tells nothing about where they are.
+  const tagAttributes = (aElement, aOpenTag, aOffset) => {
+    const attribute = new RegExp(aDialect.attributePattern || ATTRIBUTE_PATTERN);
+    for (let match; (match = attribute.exec(aOpenTag)); ) {
+      const [whole, name, doubleQuoted, singleQuoted, unquoted] = match;
+      const value = [doubleQuoted, singleQuoted, unquoted].find(v => v !== undefined);
+      const closingQuote = unquoted === undefined ? 1 : 0;
+      const valueOffset = value === undefined ? undefined :
+        aOffset + match.index + whole.length - value.length - closingQuote;
+      const nameOffset = aOffset + match.index + 1;
+      if (aDialect.attribute && aDialect.attribute(
+        {element: aElement, name, nameOffset, value, valueOffset}, context)) {
+        continue;
+      }
+      const attributeName = name.toLowerCase();
+      // Attributes that el.dataset.fooBar refers to as 'data-foo-bar'
+      if (/^data-./.test(attributeName)) {
+        addTag(DEF, attributeName, nameOffset, 'html-data');
+      }
+      if (value === undefined) continue;
+
+      if (/^on/.test(attributeName)) {
+        // Bodies of event handlers taking 'event'
+        tagScript(value, valueOffset, ['(function(event) {', '})']);
+        continue;
+      }
+      const javaScriptURL = /^\s*javascript:/i.exec(value);
+      if (javaScriptURL && URL_ATTRIBUTES.includes(attributeName)) {
+        tagScript(value.slice(javaScriptURL[0].length),
+          valueOffset + javaScriptURL[0].length);
+        continue;
+      }
+
+      switch (attributeName) {
+        case 'class':
+          // Each of class list
+          for (let className, names = /\S+/g; (className = names.exec(value)); ) {
+            addTag(DEF, className[0], valueOffset + className.index, 'html-class');
+          }
+          break;
+        case 'id':
+        case 'name': {
+          const trimmed = value.trim();
+          if (trimmed) {
+            addTag(DEF, trimmed, valueOffset + value.indexOf(trimmed),
+              `html-${attributeName}`);
+          }
+          break;
+        }
+        case 'style':
+          tagCode(tagCSS, value, valueOffset, styleOptions);
+          break;
+      }
+
+      const elements = ID_REFERENCE_ATTRIBUTES[attributeName];
+      if (elements !== undefined && (!elements || elements.includes(aElement))) {
+        for (let id, ids = /\S+/g; (id = ids.exec(value)); ) {
+          addTag(REF, id[0], valueOffset + id.index, 'html-id');
+        }
+      }
+      const fragment = /^\s*#(\S+)\s*$/.exec(value);
+      if (fragment && FRAGMENT_ATTRIBUTES.includes(attributeName)) {
+        addTag(REF, fragment[1], valueOffset + value.indexOf('#') + 1, 'html-id');
+      }
+    }
+  };
+
+  // Text comes in pieces, which are joined until a tag or the end
+  let text = null;    // {text, offset}
+  const flushText = () => {
+    if (text && aDialect.text) aDialect.text(text.text, text.offset, context);
+    text = null;
+  };
+
+  let contentBegin;   // Offset where contents of <script> or <style> begin
+  let contentOptions; // Options of tagging them, null for unknown languages
+  const parser = new htmlparser.Parser({
+    onopentag(aName, aAttributes) {
+      flushText();
+      const {startIndex, endIndex} = parser;
+      const openTag = source.slice(startIndex, endIndex + 1);
+      const name = /^<([^\s/>]+)/.exec(openTag)[1];
+      if (!(aDialect.element && aDialect.element(name, startIndex + 1, context)) &&
+          isCustomElementName(name)) {
+        addTag(REF, name, startIndex + 1, 'custom-element');
+      }
+      tagAttributes(aName, openTag, startIndex);
+      contentBegin = endIndex + 1;
+
+      const {lang} = aAttributes;
+      if (aName === 'script') {
+        const language = lang ? SCRIPT_LANGUAGES[lang] : 'javascript';
+        contentOptions = language ?
+          Object.assign({}, scriptOptions, {language}) : null;
+      } else if (aName === 'style') {
+        const language = lang ? STYLE_LANGUAGES[lang] : 'css';
+        contentOptions = language ?
+          Object.assign({}, styleOptions, {language}) : null;
+      }
+    },
+    ontext() {
+      if (contentOptions !== undefined) return;   // Contents of <script> or <style>
+      const {startIndex, endIndex} = parser;
+      const piece = source.slice(startIndex, endIndex + 1);
+      if (text && text.offset + text.text.length === startIndex) {
+        text.text += piece;
+      } else {
+        flushText();
+        text = {text: piece, offset: startIndex};
+      }
+    },
+    oncomment: flushText,
+    onclosetag(aName) {
+      flushText();
+      if (!['script', 'style'].includes(aName)) return;
+      const options = contentOptions;
+      contentOptions = undefined;
+      if (!options) return;
+      // Unterminated one lasts to the end
+      const {startIndex} = parser;
+      const contentEnd = source.startsWith('</', startIndex) ?
+        startIndex : source.length;
+      const content = source.slice(contentBegin, contentEnd);
+      tagCode(aName === 'script' ? scriptTagger : tagCSS, content, contentBegin,
+        options);
+    },
+  }, {decodeEntities: false, lowerCaseAttributeNames: true});
+  parser.end(aDialect.mask ? aDialect.mask(source) : source);
+  flushText();
+
+  return tags;
+}
+
+// Character references are decoded and padded with spaces to keep columns of
+// the rest. Padding follows each run of them not to split operators; '&amp;&amp;'
+// is '&&' and 8 spaces.
+function decodeEntities(aValue) {
+  const reference = /&(?:#\d+;?|#x[0-9a-f]+;?|[a-z][a-z0-9]*;)/gi;
+  return aValue.replace(new RegExp(`(?:${reference.source})+`, 'gi'), aRun => {
+    const decoded = aRun.replace(reference, decodeHTML);
+    return decoded + ' '.repeat(Math.max(0, aRun.length - decoded.length));
+  });
+}
+
+function tagHTMLFile(aPath, aOptions = {}) {
+  return readFile(aPath, aOptions.encoding)
+    .then(src => tagHTML(src, aPath, 0, 0, aOptions));
+}
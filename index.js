@@ -0,0 +1,131 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+// Programmatic API. Nothing here writes to console or exits the process;
+// problems are returned as diagnostics instead.
+
+const path = require('path');
+const {readSource, normalizeSource, columnOf} = require('./common.js');
+const {cached} = require('./cache.js');
+const {sourceMapURLOf} = require('./sourcemap.js');
+const {
+  tagJavaScript,
+  tagJavaScriptFile,
+  languageOf: languageOfJavaScript,
+} = require('./js-parser.js');
+const {tagHTML, tagHTMLFile} = require('./html-parser.js');
+const {tagCSS, tagCSSFile} = require('./css-parser.js');
+const {tagSFC, tagSFCFile} = require('./sfc-parser.js');
+const {tagMarkdown, tagMarkdownFile} = require('./markdown-parser.js');
+
+module.exports = {
+  tag,
+  tagFile,
+  languageOf,
+  languageNames: () => Object.keys(taggers),
+  tagJavaScript,
+  tagJavaScriptFile,
+  tagHTML,
+  tagHTMLFile,
+  tagCSS,
+  tagCSSFile,
+  tagSFC,
+  tagSFCFile,
+  tagMarkdown,
+  tagMarkdownFile,
+};
+
+const taggers = {
+  javascript: tagJavaScript,
+  jsx:        tagJavaScript,
+  typescript: tagJavaScript,
+  tsx:        tagJavaScript,
+  html:       tagHTML,
+  css:        tagCSS,
+  scss:       tagCSS,
+  vue:        tagSFC,
+  svelte:     tagSFC,
+  markdown:   tagMarkdown,
+};
+
+// Options that don't change tags
+const UNCACHED_OPTIONS = ['cache', 'jobs', 'format', 'batch', 'config'];
+
+// Tags aSource and returns {tags, diagnostics}.
+//  path     : path of aSource that tags refer to
+//  language : one of the keys of taggers, guessed from path unless given
+//  lineOffset, columnOffset : position of aSource in the file at path
+//  options  : options of the tagger. e.g. {locals: 'skip', parser: 'acorn'}
+// options.columns is the unit of columns; 'utf16'(default) code units,
+// 'codepoints' or 'bytes' encoded by options.encoding(UTF-8 by default).
+// options.cache is true or {dir, size} of the cache in cache.js to keep results
+// in. It isn't used with options.resolve or source maps in other files as tags
+// depend on other files then.
+function tag(aSource, {path, language, lineOffset = 0, columnOffset = 0,
+  options = {}} = {}) {
+  const lang = language || languageOf(path);
+  if (!taggers.hasOwnProperty(lang)) {
+    throw new TypeError(`Unknown language : ${lang}`);
+  }
+  const source = typeof aSource === 'string' ? normalizeSource(aSource) : aSource;
+
+  const run = () => {
+    const diagnostics = [];
+    const tags = taggers[lang](source, path, lineOffset, columnOffset,
+      Object.assign({}, options, {language: lang, diagnostics}));
+    if (options.columns && options.columns !== 'utf16') {
+      // refs are whole lines of tags
+      tags.forEach(tagInfo => {
+        tagInfo.column = columnOf(tagInfo.ref || '', tagInfo.column,
+          options.columns, options.encoding);
+      });
+    }
+    return {tags, diagnostics};
+  };
+  const sourceMapURL = source && sourceMapURLOf(source);
+  if (!options.cache || options.resolve ||
+    (sourceMapURL && !sourceMapURL.startsWith('data:'))) {
+    return run();
+  }
+
+  const taggerOptions = Object.keys(options).sort()
+    .filter(name => !UNCACHED_OPTIONS.includes(name))
+    .map(name => [name, options[name]]);
+  return cached(options.cache === true ? {} : options.cache,
+    [source, path, lang, lineOffset, columnOffset, taggerOptions], run);
+}
+
+// Same as tag() but reads the source from aPath. options.encoding is the
+// encoding of it unless it has BOM or <meta charset> of HTML, and is set to
+// what it's decoded by.
+function tagFile(aPath, {language, options = {}} = {}) {
+  return readSource(aPath, options.encoding)
+    .then(({source, encoding}) => tag(source, {
+      path: aPath,
+      language,
+      options: Object.assign({}, options, {encoding}),
+    }));
+}
+
+function languageOf(aPath = '') {
+  switch (path.extname(aPath).toLowerCase()) {
+    case '.html':
+    case '.htm':
+    case '.xhtml':
+      return 'html';
+    case '.css':
+      return 'css';
+    case '.scss':
+      return 'scss';
+    case '.vue':
+      return 'vue';
+    case '.svelte':
+      return 'svelte';
+    case '.md':
+    case '.markdown':
+      return 'markdown';
+  }
+  return languageOfJavaScript(aPath);
+}
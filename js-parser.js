@@ -3,136 +3,519 @@
 
 /* global module, require, process */
 
-const {readFile, exitWithError} = require('./common.js');
-
-const [DEBUG, VERBOSE, DUMPAST] = (function() {
-  const options = process.argv.slice(2).filter(v => v.startsWith('--'));
-  const debug = options.includes('--debug');
-  const verbose = debug && options.includes('--verbose');
-  const dumpast = debug && options.includes('--ast');
-  return [debug, verbose, dumpast];
-})();
+const {readFile, normalizeSource, isCustomElementName} = require('./common.js');
 
 const esprima = require('esprima');
-const ANSI = require('ansi-string');
+const backends = require('./backends/index.js');
+const {
+  analyzeScopes,
+  resolveBinding,
+  qualifiedScopeOf,
+  objectScopeOf,
+  memberScopeOf,
+} = require('./scope.js');
+const {resolveModule, exportsOf} = require('./resolver.js');
+const {tagsOfJSDoc} = require('./jsdoc.js');
+const {loadSourceMap, mapTags} = require('./sourcemap.js');
 
 module.exports = {
   tagJavaScript,
-  tagJavaScriptFile
+  tagJavaScriptFile,
+  languageOf,
 };
 
 const DEF = 'D';
 const REF = 'R';
 const NOTHING = 'N';
 
-function tagJavaScript(aSourceCodes, aPath, aLineOffset = 0, aColumnOffset = 0) {
+// Kinds of names that selector APIs take as string arguments. 'object.method'
+// is only of the object named so and 'method' is of any object.
+const SELECTOR_APIS = {
+  querySelector:            'css-selector',
+  querySelectorAll:         'css-selector',
+  closest:                  'css-selector',
+  matches:                  'css-selector',
+  $:                        'css-selector',
+  jQuery:                   'css-selector',
+  getElementById:           'html-id',
+  getElementsByClassName:   'html-class',
+  getElementsByName:        'html-name',
+  'classList.add':          'html-class',
+  'classList.remove':       'html-class',
+  'classList.toggle':       'html-class',
+  'classList.contains':     'html-class',
+  'classList.replace':      'html-class',
+  addClass:                 'html-class',
+  removeClass:              'html-class',
+  toggleClass:              'html-class',
+  hasClass:                 'html-class',
+};
+
+// Kinds of names that are assigned to properties of elements
+const SELECTOR_PROPERTIES = {
+  className: 'html-class',
+  id: 'html-id',
+};
+
+// Methods taking names of events that are fired, which are definitions, and
+// that are listened to, which are references. Events are fired by creating
+// them as well; new CustomEvent('foo').
+const EVENT_EMITTERS = ['emit', '$emit', 'trigger', 'triggerHandler'];
+const EVENT_LISTENERS = [
+  'addEventListener', 'removeEventListener',
+  'on', 'once', 'off', 'addListener', 'removeListener', 'prependListener',
+  'prependOnceListener', '$on', '$once', '$off', 'one',
+];
+const EVENT_CLASSES = ['Event', 'CustomEvent'];
+
+// aOptions.locals controls identifiers bound in function, block, class or
+// catch scopes:
+//  'all'   : tag them like file-level symbols (default)
+//  'skip'  : tag only file/module-level symbols
+//  'scope' : tag locals too, with the qualified name of their scope attached
+// aOptions.language is one of 'javascript', 'jsx', 'typescript' or 'tsx' and
+// guessed from the extension of aPath unless given.
+// aOptions.parser selects a backend in backends/; 'auto' by default.
+// aOptions.resolve resolves modules that are imported or required. Imported
+// bindings are then tagged as references to what the module exports with
+// 'module' path of it, and re-exported names as definitions with 'alias'.
+// aOptions.selectors adds selector APIs to SELECTOR_APIS, as an object of the
+// same form or a string like 'find:css-selector,byId:html-id'.
+// aOptions.emitters and aOptions.listeners add methods to EVENT_EMITTERS and
+// EVENT_LISTENERS, as an array or a string like 'fire,publish'.
+// aOptions.explain is 'NAME' or 'NAME:LINE' of identifiers whose tags are
+// explained by diagnostics with 'info' severity and 'explain' code.
+// aOptions.diagnostics is an array that syntax errors and unknown identifiers
+// are pushed into as {severity, message, path, line, column, ...}.
+// aOptions.debug, aOptions.verbose and aOptions.ast add debugging details to
+// diagnostics with 'debug' severity.
+//
+// Syntax errors don't stop tagging. Lines that errors are reported at are
+// blanked out and parsed again, and identifiers on those lines are tagged as
+// references. If it still can't be parsed, every identifier is tagged so.
+//
+// Tags of code with '//# sourceMappingURL=...' of a local source map are
+// mapped to the original sources by sourcemap.js unless aOptions.sourceMap is
+// false, as for code embedded in other files.
+function tagJavaScript(aSourceCodes, aPath, aLineOffset = 0, aColumnOffset = 0,
+  aOptions = {}) {
   if (!aSourceCodes || !aPath) {
     throw new TypeError('Source code and its path must be given.');
   }
 
-  let ast;
+  const source = normalizeSource(aSourceCodes);
+  const tags = tagCode(source, aPath, aLineOffset, aColumnOffset, aOptions);
+  if (aOptions.sourceMap === false) return tags;
   try {
-    ast = parseJS(aSourceCodes);
+    const sourceMap = loadSourceMap(source, aPath);
+    return sourceMap ? mapTags(tags, sourceMap, aPath) : tags;
   } catch(e) {
-    const {lineNumber, description} = e;
-    console.error((lineNumber && description) ?
-      ANSI.red`Syntax Error: ${aPath} at line ${lineNumber + aLineOffset} : ${description}` :
-      ANSI.red`${e}`);
-    process.exit(10);
+    (aOptions.diagnostics || []).push({
+      severity: 'warning',
+      message: `Source map is ignored : ${e.message}`,
+      path: aPath,
+    });
+    return tags;
   }
-
-  return tagAST(ast, aSourceCodes, aPath, aLineOffset, aColumnOffset);
 }
 
-function tagJavaScriptFile(aPath) {
-  return readFile(aPath)
-    .catch(exitWithError)
-    .then(src => tagJavaScript(src, aPath));
+function tagJavaScriptFile(aPath, aOptions = {}) {
+  return readFile(aPath, aOptions.encoding)
+    .then(src => tagJavaScript(src, aPath, 0, 0, aOptions));
 }
 
-function parseJS(aSourceCodes) {
+function tagCode(aSourceCodes, aPath, aLineOffset, aColumnOffset, aOptions) {
+  const diagnostics = aOptions.diagnostics || [];
+  const report = d => diagnostics.push(d);
+  const language = aOptions.language || languageOf(aPath);
+
   let ast;
-  const option = {loc: true, tolerant: true};
+  const maskedLines = [];
+  for (let src = aSourceCodes; !ast;) {
+    try {
+      ast = parseJS(src, language, aOptions.parser);
+    } catch(e) {
+      const {lineNumber, column, description} = e;
+      if (maskedLines.length === 0) {
+        report({
+          severity: 'error',
+          message: description || `${e}`,
+          path: aPath,
+          line: lineNumber && lineNumber + aLineOffset,
+          column: lineNumber === 1 ? column + aColumnOffset : column,
+        });
+      }
+      if (!lineNumber || maskedLines.includes(lineNumber) ||
+        maskedLines.length >= MAX_MASKED_LINES) {
+        break;
+      }
+      maskedLines.push(lineNumber);
+      src = maskLine(src, lineNumber);
+    }
+  }
+
+  if (!ast) {
+    report({
+      severity: 'warning',
+      message: 'Failed to recover from syntax error. Identifiers are tagged as references',
+      path: aPath,
+    });
+    return tagTokens(aSourceCodes, aPath, aLineOffset, aColumnOffset);
+  }
+
+  const tags = tagAST(ast, aSourceCodes, aPath, aLineOffset, aColumnOffset,
+    Object.assign({}, aOptions, {diagnostics}));
+  if (maskedLines.length) {
+    report({
+      severity: 'warning',
+      message: `Recovered from syntax error by skipping line ${maskedLines.map(
+        l => l + aLineOffset).join(', ')}`,
+      path: aPath,
+    });
+    tags.push(...tagTokens(aSourceCodes, aPath, aLineOffset, aColumnOffset,
+      maskedLines));
+  }
+  return tags;
+}
+
+// Lines blanked out at most to recover from syntax errors
+const MAX_MASKED_LINES = 10;
+
+// Blanks out a line keeping its length so that columns of the others are kept
+function maskLine(aSourceCodes, aLine) {
+  const lines = aSourceCodes.split('\n');
+  lines[aLine-1] = lines[aLine-1].replace(/\S/g, ' ');
+  return lines.join('\n');
+}
+
+// Fallback that tags every identifier token as a reference. Only tokens on
+// aLines are tagged if given.
+function tagTokens(aSourceCodes, aPath, aLineOffset = 0, aColumnOffset = 0,
+  aLines) {
+  const sources = aSourceCodes.split('\n');
+  const lines = aLines || sources.map((l, idx) => idx + 1);
+  const tags = [];
+  for (const line of lines) {
+    for (const {name, column} of identifierTokens(sources[line-1])) {
+      tags.push({
+        type: REF,
+        name,
+        line: line + aLineOffset,
+        column: column + 1 + (line === 1 ? aColumnOffset : 0),
+        kind: 'reference',
+        path: aPath,
+        ref: sources[line-1],
+      });
+    }
+  }
+  return tags;
+}
+
+// Tokenized line by line as any line may be a part of broken multi-line token
+function identifierTokens(aLine) {
+  const option = {tolerant: true, loc: true, jsx: true};
+  let tokens;
   try {
-    ast = esprima.parse(aSourceCodes, option);
-    decorateAST(ast);
+    tokens = esprima.tokenize(aLine, option);
   } catch(e) {
-    option.sourceType = 'module';
-    ast = esprima.parse(aSourceCodes, option);
+    // Unterminated string, template or comment.
+    // Identifiers up to there are good enough.
+    tokens = esprima.tokenize(aLine.slice(0, e.index), option);
+  }
+  return tokens
+    .filter(({type}) => ['Identifier', 'JSXIdentifier'].includes(type))
+    .map(({value: name, loc: {start: {column}}}) => ({name, column}));
+}
+
+function languageOf(aPath) {
+  switch (path.extname(aPath).toLowerCase()) {
+    case '.ts':
+    case '.mts':
+    case '.cts':
+      return 'typescript';
+    case '.tsx':
+      return 'tsx';
+    case '.jsx':
+      return 'jsx';
   }
+  return 'javascript';
+}
+
+function parseJS(aSourceCodes, aLanguage = 'javascript', aParser = 'auto') {
+  const ast = backends.parse(aSourceCodes, {language: aLanguage, parser: aParser});
+  decorateAST(ast);
+  analyzeScopes(ast);
   return ast;
 }
 
-function tagAST(aAST, aSourceCodes, aFile, aLineOffset = 0, aColumnOffset = 0) {
+function tagAST(aAST, aSourceCodes, aFile, aLineOffset = 0, aColumnOffset = 0,
+  {locals = 'all', resolve, selectors, emitters, listeners, explain,
+    diagnostics = [], debug, verbose, ast: dumpAST} = {}) {
   const tags = [];
   if (!aAST) return tags;
+  const apis = {
+    selectors: Object.assign({}, SELECTOR_APIS, parseSelectorAPIs(selectors)),
+    emitters: EVENT_EMITTERS.concat(parseNames(emitters)),
+    listeners: EVENT_LISTENERS.concat(parseNames(listeners)),
+  };
 
   const sources = aSourceCodes.split('\n');
+  const addTag = aTagInfo => {
+    aTagInfo.path    = aFile;
+    aTagInfo.ref     = sources[aTagInfo.line-1];
+    aTagInfo.column += 1 + (aTagInfo.line === 1 ? aColumnOffset : 0);
+    aTagInfo.line   += aLineOffset;
+    tags.push(aTagInfo);
+    return aTagInfo;
+  };
+  const debugInfo = (aMessage, aDetail) => diagnostics.push(
+    Object.assign({severity: 'debug', message: aMessage, path: aFile}, aDetail));
 
-  if (DUMPAST) {
-    ANSI.green.stderr();
-    console.log('Entire AST');
-    dump(aAST);
-    ANSI.reset.stderr();
+  if (debug && dumpAST) {
+    debugInfo(`Entire AST\n${JSON.stringify(aAST, null, 2)}`);
+  }
+  if (debug && verbose) {  // XXX : This spits out import export statement as error
+    (aAST.errors || []).forEach(({lineNumber, description}) =>
+      debugInfo(`Tolerated error : ${description}`, {line: lineNumber + aLineOffset}));
   }
 
+  // Identifiers named 'NAME' or 'NAME:LINE' of explain are explained how
+  // they're tagged
+  const [explainedName, explainedLine] = explain ? String(explain).split(':') : [];
+  const isExplained = ({name, loc: {start: {line}}}) =>
+    [name, `#${name}`].includes(explainedName) &&
+    (!explainedLine || Number(explainedLine) === line + aLineOffset);
+
   // https://developer.mozilla.org/en-US/docs/Mozilla/Projects/SpiderMonkey/Parser_API
-  for (const identifier of aAST.descendants('Identifier')) {
+  const identifierTypes = ['Identifier', 'JSXIdentifier', 'PrivateIdentifier'];
+  for (const identifier of aAST.descendants(...identifierTypes)) {
     try {
       if (!identifier.tagType) {
-        ANSI.red.stderr();
-        const {tagInfo: {name, line, column}, path} = identifier;
-        console.error(`Unknown Identifier : ${name} at ${aFile} ${line}:${column+1},${sources[line-1]}`);
-        console.error('  AST Path :', path);
-        ANSI.reset.stderr();
+        const {tagInfo: {name, line, column}, path: astPath} = identifier;
+        const {parentNode, parentProp} = identifier.nonArrayParent;
+        diagnostics.push({
+          severity: 'warning',
+          code: 'unknown-identifier',
+          message: `Unknown Identifier : ${name}`,
+          path: aFile,
+          line: line + aLineOffset,
+          column: column + 1 + (line === 1 ? aColumnOffset : 0),
+          name,
+          rule: `${parentNode.type}.${parentProp}`,
+          astPath,
+          ref: sources[line-1],
+        });
       }
 
-      for (const node of identifier.tags) {
-        const {tagInfo} = node;
-        tagInfo.path    = aFile;
-        tagInfo.ref     = sources[tagInfo.line-1];
-        tagInfo.line   += aLineOffset;
-        tagInfo.column += 1 + aColumnOffset;
-        tags.push(tagInfo);
-        if (DEBUG) {
-          console.log(ANSI.yellow('    AST Path :', identifier.path));
+      const importTag = resolve ? tagOfImport(identifier, aFile) : undefined;
+      const localTag = importTag !== undefined || locals === 'all' ?
+        undefined : tagOfLocal(identifier, locals);
+      const specialTag = importTag !== undefined ? importTag : localTag;
+      const nodes = specialTag === undefined ? identifier.tags(apis) :
+        specialTag ? [{tagInfo: specialTag}] : [];
+      const tagInfos = [];
+      for (const node of nodes) {
+        const tagInfo = addTag(node.tagInfo);
+        tagInfos.push(tagInfo);
+        if (debug) {
+          const {line, column} = tagInfo;
+          debugInfo(`AST Path : ${identifier.path}`, {line, column});
         }
       }
-    } catch(e) {
-      if (DEBUG) {
-        ANSI.red.stderr();
-        console.error('===============================');
-        console.error('aFile:', aFile);
-        console.error('AST Path :', identifier.path);
-        console.error('-------------------------------');
-        console.error(e);
-        console.error('===============================');
-        ANSI.reset.stderr();
+
+      if (explain && isExplained(identifier)) {
+        const {line, column} = identifier.loc.start;
+        let reason;
+        if (importTag !== undefined) {
+          reason = 'resolved import';
+        } else if (localTag !== undefined) {
+          reason = localTag ? 'local scope' : `local skipped by locals=${locals}`;
+        }
+        diagnostics.push(Object.assign({
+          severity: 'info',
+          code: 'explain',
+          path: aFile,
+          line: line + aLineOffset,
+          column: column + 1 + (line === 1 ? aColumnOffset : 0),
+          ref: sources[line-1],
+        }, explanationOf(identifier, tagInfos, reason)));
       }
-      throw e;
+    } catch(e) {
+      // Bugs on a node shouldn't lose tags of the others
+      const {line, column} = identifier.loc.start;
+      diagnostics.push({
+        severity: 'error',
+        message: `Failed to tag ${identifier.name} : ${e.message}`,
+        path: aFile,
+        line: line + aLineOffset,
+        column: column + 1 + (line === 1 ? aColumnOffset : 0),
+        astPath: identifier.path,
+      });
     }
   }
 
+  aAST.comments.forEach(comment => tagsOfJSDoc(comment).forEach(addTag));
+
+  if (resolve) {
+    for (const declaration of aAST.descendants('ExportAllDeclaration')) {
+      tagOfExportAll(declaration, aFile).forEach(addTag);
+    }
+  }
   return tags;
 }
 
-function determineTagType(aIdNode) {
-  const {type, name} = aIdNode;
-  if (type !== 'Identifier') return NOTHING;
+// {name: kind} of aSelectors given as an object or 'name:kind,...'
+function parseSelectorAPIs(aSelectors) {
+  if (typeof aSelectors !== 'string') return aSelectors;
+  const apis = {};
+  for (const api of aSelectors.split(',').filter(a => a)) {
+    const [name, kind = 'css-selector'] = api.split(':');
+    apis[name] = kind;
+  }
+  return apis;
+}
 
-  const {parentNode, parentProp} = (function getNonArrayParent() {
-    let {parentNode, parentProp} = aIdNode;
-    while (parentNode instanceof Array) {
-      parentProp = parentNode.parentProp;
-      parentNode = parentNode.parentNode;
+function parseNames(aNames = []) {
+  return typeof aNames === 'string' ? aNames.split(',').filter(n => n) : aNames;
+}
+
+// Tag of an identifier that imports or re-exports a binding of a module that
+// can be resolved; null to drop it and undefined for others.
+function tagOfImport(aIdNode, aFile) {
+  const {parentNode, parentProp} = aIdNode.nonArrayParent;
+  const {parentNode: declaration} = parentNode.nonArrayParent || {};
+  let source, imported;
+  switch (`${parentNode.type}.${parentProp}`) {
+    case 'ImportSpecifier.imported':
+      // Tagged as 'local' unless it's renamed
+      if (nameOf(parentNode.local) === aIdNode.name) return null;
+      // fall through
+    case 'ImportSpecifier.local':
+      source = declaration.source;
+      imported = nameOf(parentNode.imported);
+      break;
+    case 'ImportDefaultSpecifier.local':
+      source = declaration.source;
+      imported = 'default';
+      break;
+    case 'ImportNamespaceSpecifier.local':
+      source = declaration.source;
+      break;
+    case 'ExportSpecifier.local':
+    case 'ExportSpecifier.exported':
+      source = declaration.source;
+      imported = nameOf(parentNode.local);
+      break;
+    case 'VariableDeclarator.id': {       // const foo = require('foo')
+      const {init} = parentNode;
+      const isRequire = init && init.type === 'CallExpression' &&
+        init.callee.type === 'Identifier' && init.callee.name === 'require';
+      if (isRequire && aIdNode === parentNode.id) {
+        source = init.arguments[0];
+        imported = 'default';
+      }
+      break;
     }
-    return {parentNode, parentProp};
-  })();
+  }
+  const moduleName = stringOf(source);
+  if (moduleName === undefined) return undefined;
+
+  const target = resolveModule(moduleName, aFile);
+  if (!target) return undefined;
+
+  const symbol = imported && exportsOf(target).get(imported) ||
+    {name: imported && imported !== 'default' ? imported : aIdNode.name, path: target};
+  const tagInfo = Object.assign(aIdNode.tagInfo, {
+    type: REF,
+    name: symbol.name,
+    kind: 'import',
+    module: modulePath(symbol.path, aFile),
+  });
+  if (parentNode.type === 'ImportSpecifier' && parentProp === 'local' &&
+    nameOf(parentNode.imported) !== aIdNode.name) {
+    // import {foo as bar} from 'baz'
+    return Object.assign(tagInfo, {type: DEF, name: aIdNode.name, alias: symbol.name});
+  }
+  if (parentProp !== 'exported') return tagInfo;
+
+  // export {foo as bar} from 'baz'
+  if (nameOf(parentNode.exported) === imported) return null;  // Tagged as 'local'
+  return Object.assign(tagInfo, {
+    type: DEF,
+    name: aIdNode.name,
+    kind: 'export',
+    alias: symbol.name,
+  });
+}
+
+// Definitions of names that 'export * from "foo"' re-exports, tagged at the
+// module name
+function tagOfExportAll(aDeclarationNode, aFile) {
+  const {exported, source} = aDeclarationNode;
+  const target = !exported && resolveModule(source.value, aFile);
+  if (!target) return [];
+
+  const {loc: {start: {line, column}}} = source;
+  return [...exportsOf(target)]
+    .filter(([name]) => name !== 'default')
+    .map(([name, symbol]) => ({
+      type: DEF,
+      name,
+      line,
+      column: column + 1,   // 1 for quotation mark
+      kind: 'export',
+      alias: symbol.name,
+      module: modulePath(symbol.path, aFile),
+    }));
+}
+
+// Path of a resolved module relative to the working directory as aFile is
+function modulePath(aModule, aFile) {
+  return aModule.startsWith('node:') || path.isAbsolute(aFile) ?
+    aModule : path.relative(process.cwd(), aModule);
+}
+
+function nameOf(aNode) {
+  return aNode.type === 'Literal' ? String(aNode.value) : aNode.name;
+}
+
+// Tag of an identifier bound in a local scope; null to drop it and undefined
+// when the identifier is not a local binding.
+function tagOfLocal(aIdNode, aLocalsMode) {
+  const binding = resolveBinding(aIdNode);
+  if (!binding || !binding.scope.isLocal) return undefined;
+  if (aLocalsMode !== 'scope') return null;
+
+  // Qualified by where the binding is declared rather than where it's used
+  const {scope, isDeclaration} = binding;
+  const [declaration] = scope.bindings.get(aIdNode.name);
+  const type = isDeclaration ? DEF : REF;
+  return Object.assign(aIdNode.tagInfo, {
+    type,
+    kind: determineTagKind(aIdNode, type),
+  }, qualifiedScopeOf(declaration));
+}
+
+// Type of a tag that aIdNode is by the rule of 'Parent.prop' it's at, or
+// undefined if no rule handles it. Special cases that decide the type besides
+// the rule are pushed into aReasons.
+function determineTagType(aIdNode, aReasons = []) {
+  const {type, name} = aIdNode;
+  if (!['Identifier', 'JSXIdentifier', 'PrivateIdentifier'].includes(type)) {
+    return NOTHING;
+  }
+
+  const {parentNode, parentProp} = aIdNode.nonArrayParent;
+  const because = (aReason, aType) => {
+    aReasons.push(aReason);
+    return aType;
+  };
 
   switch(`${parentNode.type}.${parentProp}`) {
     // Definitions
     case 'ClassDeclaration.id':
     case 'ConditionalExpression.consequent':
+    case 'ExportAllDeclaration.exported':   // export * as foo from 'bar'
     case 'ExportDefaultDeclaration.declaration':
     case 'FunctionDeclaration.id':
     case 'FunctionExpression.id':
@@ -140,27 +523,77 @@ function determineTagType(aIdNode) {
     case 'LabeledStatement.label':
       return DEF;
 
+    // TypeScript definitions
+    case 'TSAbstractMethodDefinition.key':
+    case 'TSAbstractPropertyDefinition.key':
+    case 'TSDeclareFunction.id':
+    case 'TSEnumDeclaration.id':
+    case 'TSEnumMember.id':
+    case 'TSImportEqualsDeclaration.id':
+    case 'TSInterfaceDeclaration.id':
+    case 'TSMethodSignature.key':
+    case 'TSModuleDeclaration.id':
+    case 'TSNamespaceExportDeclaration.id':
+    case 'TSParameterProperty.parameter':   // constructor(private foo) {}
+    case 'TSPropertySignature.key':
+    case 'TSTypeAliasDeclaration.id':
+      return DEF;
+
+    // JSX
+    case 'JSXOpeningElement.name':
+      // Lower cased names are intrinsic elements like <div>
+      return /^[A-Z]/.test(name) ? REF : because('intrinsic element', NOTHING);
+    case 'JSXMemberExpression.object':
+    case 'JSXMemberExpression.property': {
+      // Reported once by opening element
+      const [ closingElement ] = aIdNode.getAncestor('JSXClosingElement');
+      return closingElement ? because('closing element', NOTHING) : REF;
+    }
+    case 'JSXExpressionContainer.expression':
+    case 'JSXSpreadAttribute.argument':
+    case 'JSXSpreadChild.expression':
+      return REF;
+    case 'JSXAttribute.name':
+    case 'JSXClosingElement.name':
+    case 'JSXNamespacedName.name':
+    case 'JSXNamespacedName.namespace':
+      return NOTHING;
+
     // Conditional definitions
     case 'ExportSpecifier.exported':        // export { foo, bar, baz}
-      return parentNode.local.name === name ? NOTHING : DEF;
+      return parentNode.local.name === name ? because('not renamed', NOTHING) : DEF;
     case 'MethodDefinition.key':
-      return name === 'constructor' ? NOTHING : DEF;
+      return name === 'constructor' ? because('constructor', NOTHING) : DEF;
+    case 'PropertyDefinition.key':          // class fields
+      return parentNode.computed ? because('computed key', REF) : DEF;
     case 'ImportSpecifier.local':
-      return parentNode.imported.name !== name ? DEF : REF;
+      return parentNode.imported.name !== name ? DEF : because('not renamed', REF);
+    case 'MemberExpression.property':       // exports.foo = ..., Foo.prototype.bar = ...
+      return isMemberDefinition(aIdNode) ? because('member definition', DEF) : REF;
+    case 'Property.value':
+      // Reported once as DEF by 'Property.key' of module.exports = {foo}
+      return parentNode.shorthand && isExportsObject(parentNode.nonArrayParent.parentNode) ?
+        because('shorthand property of exports', NOTHING) : REF;
     case 'Property.key':
-      if (parentNode.shorthand) {
+      if (isExportsObject(parentNode.nonArrayParent.parentNode)) {
+        return because('property of exports', parentNode.computed ? REF : DEF);
+      } else if (parentNode.shorthand) {
         // shorthand is always reference
         // It'll reported as REF by 'Property.value'
-        return NOTHING;
+        return because('shorthand property', NOTHING);
       } else {
         const [ ancestorNode, prop ] = aIdNode.getAncestor('VariableDeclarator');
         if (ancestorNode) {
           switch (prop) {
             case 'init':
-              if (parentNode.key !== parentNode.value) return DEF;  // for variable declara
+              if (parentNode.key !== parentNode.value) {    // for variable declara
+                return because('property of variable initializer', DEF);
+              }
               break;
             case 'id':
-              if (parentNode.key === parentNode.value) return DEF;  // for variable declara
+              if (parentNode.key === parentNode.value) {    // for variable declara
+                return because('destructured variable', DEF);
+              }
               break;
           }
         }
@@ -168,28 +601,30 @@ function determineTagType(aIdNode) {
       return REF;
     case 'VariableDeclarator.id': {
       let [ ancestorNode, prop ] = aIdNode.getAncestor('ForInStatement');
-      if (ancestorNode && prop === 'left') return NOTHING;
+      if (ancestorNode && prop === 'left') return because('ForInStatement internals', NOTHING);
       [ ancestorNode, prop ] = aIdNode.getAncestor('ForStatement');
-      if (ancestorNode && prop === 'init') return NOTHING;
+      if (ancestorNode && prop === 'init') return because('ForStatement internals', NOTHING);
 
-      return isVarAssignedFromRequire(parentNode) ? REF : DEF;
+      return isVarAssignedFromRequire(parentNode) ? because('require heuristic', REF) : DEF;
     }
     case 'BinaryExpression.left':
     case 'BinaryExpression.right':
     case 'UpdateExpression.argument':
     case 'UnaryExpression.argument': {
-      if (isForStatementInternalId(aIdNode)) return NOTHING;
+      if (isForStatementInternalId(aIdNode)) return because('ForStatement internals', NOTHING);
       return REF;
     }
     case 'ForStatement.update': {
-      if (isForStatementDefinedVariable(parentNode, name)) return NOTHING;
+      if (isForStatementDefinedVariable(parentNode, name)) {
+        return because('ForStatement internals', NOTHING);
+      }
       return REF;
     }
     case 'ArrayPattern.elements': // An array-destructuring pattern.
       return DEF;
     case 'AssignmentPattern.right':
       if (name === 'undefined') {
-        return NOTHING;
+        return because('undefined as default', NOTHING);
       }
       return REF;
 
@@ -197,10 +632,13 @@ function determineTagType(aIdNode) {
     case 'ArrayExpression.elements':
     case 'ArrowFunctionExpression.body':
     case 'AssignmentExpression.right':
+    case 'AwaitExpression.argument':
     case 'BreakStatement.label':
     case 'CallExpression.arguments':
     case 'CallExpression.callee':
+    case 'ChainExpression.expression':
     case 'ClassDeclaration.superClass':
+    case 'ClassExpression.superClass':
     case 'ConditionalExpression.alternate':
     case 'ConditionalExpression.test':
     case 'ContinueStatement.label':
@@ -210,14 +648,14 @@ function determineTagType(aIdNode) {
     case 'ForStatement.test':
     case 'IfStatement.test':
     case 'ImportDefaultSpecifier.local':
+    case 'ImportExpression.source':
     case 'ImportSpecifier.imported':
     case 'LogicalExpression.left':
     case 'LogicalExpression.right':
     case 'MemberExpression.object':
-    case 'MemberExpression.property':
     case 'NewExpression.arguments':
     case 'NewExpression.callee':
-    case 'Property.value':
+    case 'PropertyDefinition.value':
     case 'ReturnStatement.argument':
     case 'SequenceExpression.expressions':
     case 'SpreadElement.argument':
@@ -232,6 +670,22 @@ function determineTagType(aIdNode) {
     case 'ExpressionStatement.expression':
       return REF;
 
+    // TypeScript references
+    case 'ClassDeclaration.implements':
+    case 'TSAsExpression.expression':
+    case 'TSClassImplements.expression':
+    case 'TSEnumMember.initializer':
+    case 'TSExportAssignment.expression':
+    case 'TSExternalModuleReference.expression':
+    case 'TSInterfaceHeritage.expression':
+    case 'TSNonNullExpression.expression':
+    case 'TSQualifiedName.left':
+    case 'TSQualifiedName.right':
+    case 'TSTypeAssertion.expression':
+    case 'TSTypeQuery.exprName':
+    case 'TSTypeReference.typeName':
+      return REF;
+
     // Ignored symbols
     case 'ArrowFunctionExpression.params':  // Locally defined
     case 'AssignmentExpression.left':       // This is just assignment
@@ -242,8 +696,21 @@ function determineTagType(aIdNode) {
     case 'ForInStatement.left':
     case 'ForOfStatement.left':             // 'b' of 'for (b of buffer)'
     case 'FunctionExpression.params':       // Locally defined
+    case 'MetaProperty.meta':               // import.meta, new.target
+    case 'MetaProperty.property':
     case 'RestElement.argument':
     case 'FunctionDeclaration.params':
+    case 'TSCallSignatureDeclaration.params':
+    case 'TSConstructSignatureDeclaration.params':
+    case 'TSConstructorType.params':
+    case 'TSDeclareFunction.params':
+    case 'TSEmptyBodyFunctionExpression.params':
+    case 'TSFunctionType.params':
+    case 'TSIndexSignature.parameters':
+    case 'TSMappedType.nameType':
+    case 'TSMethodSignature.params':
+    case 'TSTypeParameter.name':            // Generic type parameters
+    case 'TSTypePredicate.parameterName':
       return NOTHING;
 
     // Possibly verbose definition from here
@@ -251,6 +718,164 @@ function determineTagType(aIdNode) {
   return;
 }
 
+// {message, name, rule, reasons, astPath} explaining that aIdNode is tagged as
+// aTagInfos by the rule of determineTagType() and special cases of it, and
+// aReason of tagAST() if given
+function explanationOf(aIdNode, aTagInfos, aReason) {
+  const reasons = [];
+  const type = determineTagType(aIdNode, reasons);
+  if (aReason) reasons.push(aReason);
+
+  const {name, path: astPath} = aIdNode;
+  const {parentNode, parentProp} = aIdNode.nonArrayParent;
+  const rule = `${parentNode.type}.${parentProp}`;
+  const verdict = {[DEF]: 'definition', [REF]: 'reference', [NOTHING]: 'nothing'}[type];
+  const tags = aTagInfos.map(t => `${t.type} ${t.name} (${t.kind})`).join(', ');
+  return {
+    message: [
+      `Explain ${name} : ${verdict ? `${verdict} by ${rule}` : `no rule for ${rule}`}`,
+      reasons.length ? `  Special cases : ${reasons.join(', ')}` : null,
+      `  Tags : ${tags || 'none'}`,
+    ].filter(line => line).join('\n'),
+    name,
+    rule,
+    reasons,
+    astPath,
+  };
+}
+
+// What an identifier of aTagType names. References are just 'reference'
+// except for imported bindings.
+function determineTagKind(aIdNode, aTagType) {
+  const {parentNode, parentProp} = aIdNode.nonArrayParent;
+
+  switch(`${parentNode.type}.${parentProp}`) {
+    case 'ImportDefaultSpecifier.local':
+    case 'ImportNamespaceSpecifier.local':
+    case 'ImportSpecifier.imported':
+    case 'ImportSpecifier.local':
+    case 'TSImportEqualsDeclaration.id':
+      return 'import';
+  }
+  if (aTagType === REF) return 'reference';
+  if (isParameter(aIdNode)) return 'parameter';
+
+  switch(`${parentNode.type}.${parentProp}`) {
+    case 'ClassDeclaration.id':
+    case 'ClassExpression.id':
+      return 'class';
+    case 'FunctionDeclaration.id':
+    case 'FunctionExpression.id':
+    case 'TSDeclareFunction.id':
+      return 'function';
+    case 'MethodDefinition.key':
+    case 'TSAbstractMethodDefinition.key':
+    case 'TSMethodSignature.key':
+      return accessorKind(parentNode.kind) || 'method';
+    case 'PropertyDefinition.key':
+    case 'TSAbstractPropertyDefinition.key':
+    case 'TSParameterProperty.parameter':
+    case 'TSPropertySignature.key':
+      return 'field';
+    case 'MemberExpression.property': {
+      const {right} = parentNode.parentNode;
+      const value = valueKind(right);
+      switch (memberScopeOf(parentNode).scopeKind) {
+        case 'module':
+          return value || 'export';
+        case 'class':
+          return value === 'function' ? 'method' : value ||
+            (parentNode.object.type === 'ThisExpression' ? 'field' : 'property');
+      }
+      return value || 'property';
+    }
+    case 'Property.key': {
+      if (isExportsObject(parentNode.nonArrayParent.parentNode)) {
+        return parentNode.method ? 'function' : valueKind(parentNode.value) || 'export';
+      }
+      const [ declarator, prop ] = aIdNode.getAncestor('VariableDeclarator');
+      if (declarator && prop === 'id') return variableKind(declarator);
+      if (parentNode.method) return 'method';
+      return accessorKind(parentNode.kind) || valueKind(parentNode.value) ||
+        'property';
+    }
+    case 'VariableDeclarator.id':
+      return valueKind(parentNode.init) || variableKind(parentNode);
+    case 'ArrayPattern.elements': {
+      const [ declarator ] = aIdNode.getAncestor('VariableDeclarator');
+      return declarator ? variableKind(declarator) : 'variable';
+    }
+    case 'LabeledStatement.label':
+      return 'label';
+    case 'ExportAllDeclaration.exported':
+    case 'ExportDefaultDeclaration.declaration':
+    case 'ExportSpecifier.exported':
+      return 'export';
+    case 'TSEnumDeclaration.id':
+      return 'enum';
+    case 'TSEnumMember.id':
+      return 'enumerator';
+    case 'TSInterfaceDeclaration.id':
+      return 'interface';
+    case 'TSModuleDeclaration.id':
+    case 'TSNamespaceExportDeclaration.id':
+      return 'namespace';
+    case 'TSTypeAliasDeclaration.id':
+      return 'type';
+  }
+  return 'variable';
+
+  function accessorKind(aKind) {
+    return {get: 'getter', set: 'setter', constructor: 'constructor'}[aKind];
+  }
+
+  function variableKind(aDeclaratorNode) {
+    const {parentNode: declaration} = aDeclaratorNode.nonArrayParent;
+    return declaration.kind === 'const' ? 'constant' : 'variable';
+  }
+
+  // Functions and classes assigned are named after what they're assigned to
+  function valueKind(aValueNode) {
+    switch (aValueNode && aValueNode.type) {
+      case 'ArrowFunctionExpression':
+      case 'FunctionExpression':
+        return 'function';
+      case 'ClassExpression':
+        return 'class';
+    }
+    return undefined;
+  }
+}
+
+// Whether aIdNode is 'b' of 'a.b = ...' that defines a member of exports, a
+// prototype or 'this' in a constructor
+function isMemberDefinition(aIdNode) {
+  const {parentNode: member, parentProp} = aIdNode;
+  if (parentProp !== 'property') return false;
+  const {parentNode, parentProp: memberProp} = member;
+  return parentNode.type === 'AssignmentExpression' && memberProp === 'left' &&
+    parentNode.operator === '=' && !!memberScopeOf(member).scope;
+}
+
+// Object literal assigned to exports like 'module.exports = {foo, bar}'
+function isExportsObject(aObjectNode) {
+  const {parentNode, parentProp} = aObjectNode;
+  return aObjectNode.type === 'ObjectExpression' &&
+    parentNode.type === 'AssignmentExpression' && parentProp === 'right' &&
+    objectScopeOf(parentNode.left).scopeKind === 'module';
+}
+
+// Whether an identifier is declared in parameters of a function or catch
+function isParameter(aIdNode) {
+  for (let node = aIdNode; node.parentNode; node = node.parentNode) {
+    const {parentNode, parentProp} = node;
+    if (parentNode instanceof Array) continue;
+    if (['params', 'param', 'parameters'].includes(parentProp)) return true;
+    if (!/Pattern$|^Property$|^RestElement$/.test(parentNode.type)) return false;
+  }
+  return false;
+}
+
 function *subAstNodeProps(aAstNode) {
   if (!(isNode(aAstNode) || aAstNode instanceof Array)) return;
   for (let prop in aAstNode) {
@@ -258,17 +883,7 @@ function *subAstNodeProps(aAstNode) {
       case 'type':
       case 'loc':
         break;
-      case 'errors':
-        if (VERBOSE) {  // XXX : This spits out import export statement as error
-          ANSI.red.stderr();
-          console.error('==========================================');
-          console.error('aAstNode.error : ', aAstNode.errors[0]);
-          dump(aAstNode.errors[0]);
-          console.error('------------------------------------------');
-          console.error('aAstNode: ', aAstNode);
-          console.error('==========================================');
-          ANSI.reset.stderr();
-        }
+      case 'errors':  // Tolerated errors of esprima
         break;
       default: {
         const subAST = aAstNode[prop];
@@ -286,14 +901,10 @@ function isNode(aObj) {
   return aObj instanceof Object && aObj.hasOwnProperty('type');
 }
 
-function dump(aObj) {
-  console.info(JSON.stringify(aObj, null, 2));
-}
-
 // XXX : Think about make this a hidden method of ForStatement node
 function isForStatementDefinedVariable(aForStatementNode, aName) {
   const {type, init} = aForStatementNode;
-  console.assert(type === 'ForStatement');
+  assert.strictEqual(type, 'ForStatement');
 
   return  init &&
           init.type === 'VariableDeclaration' &&
@@ -316,6 +927,14 @@ function decorateAST(aAstNode) {
   Object.defineProperties(aAstNode, {
     descendants: {value: findDescendants},
     getAncestor: {value: astGetAncestorNode},
+    nonArrayParent: {get: function getNonArrayParent() {
+      let {parentNode, parentProp} = this;
+      while (parentNode instanceof Array) {
+        parentProp = parentNode.parentProp;
+        parentNode = parentNode.parentNode;
+      }
+      return {parentNode, parentProp};
+    }},
     path: {get: pathGetter},
     tagType: {configurable: true, get: function() { // lazyLoader
       const value = determineTagType(this);
@@ -323,11 +942,16 @@ function decorateAST(aAstNode) {
       return value;
     }},
     tagInfo: {get: function() {
-      const {tagType: type, name, loc: {start: {line, column}}} = this;
-      return {type, name, line, column};
+      const {tagType: type, loc: {start: {line, column}}} = this;
+      const name = this.type === 'PrivateIdentifier' ? `#${this.name}` : this.name;
+      const kind = determineTagKind(this, type);
+      return Object.assign({type, name, line, column, kind}, qualifiedScopeOf(this),
+        type === DEF && isMemberDefinition(this) && memberScopeOf(this.parentNode));
     }},
-    tags: {get: function*() {
-      const {tagType, name, parentNode} = this;
+    // aAPIs are {selectors, emitters, listeners} whose string arguments are
+    // tagged
+    tags: {value: function*(aAPIs) {
+      const {tagType, name, parentNode, parentProp} = this;
       switch (tagType) {
         case DEF:
         case REF:
@@ -339,23 +963,83 @@ function decorateAST(aAstNode) {
           return;
       }
 
-      const selectors = [
-        'querySelector',
-        'querySelectorAll',
-        'getElementById',
-        'getElementsByClassName',
-        'getElementsByName',
-      ];
-      if (selectors.includes(name) && parentNode.type === 'MemberExpression') {
-        let callExpression = parentNode;
-        while(callExpression.type === 'MemberExpression')
-          callExpression = callExpression.parentNode;
-        if (callExpression.type === 'CallExpression') {
-          const selector = callExpression.arguments[0];
-          if (['Literal', 'TemplateLiteral'].includes(selector.type)) {
-            yield *tagInfoFromLiteral(selector, name.startsWith('querySelector'));
+      const callee = parentProp === 'callee' ? this :
+        parentProp === 'property' && !parentNode.computed ? parentNode : null;
+      const call = callee && callee.parentProp === 'callee' && callee.parentNode;
+      if (call && call.type === 'CallExpression') {
+        // Names in string arguments of selector APIs like $('.foo')
+        const {selectors} = aAPIs;
+        const object = callee !== this && lastName(callee.object);
+        const api = [`${object}.${name}`, name]
+          .find(n => selectors.hasOwnProperty(n));
+        if (api) {
+          for (const argument of call.arguments) {
+            yield *tagInfoFromLiteral(argument, selectors[api]);
           }
         }
+
+        // emit('foo') and on('foo', listener)
+        const eventType = aAPIs.emitters.includes(name) ? DEF :
+          aAPIs.listeners.includes(name) ? REF : null;
+        const eventTag = eventType && tagInfoOfEvent(call.arguments[0], eventType);
+        if (eventTag) yield eventTag;
+
+        // customElements.define('foo-bar', FooBar) and createElement('foo-bar')
+        const elementType = object === 'customElements' ?
+          {define: DEF, get: REF, whenDefined: REF}[name] :
+          name === 'createElement' && REF;
+        const elementTag = elementType &&
+          tagInfoOfCustomElement(call.arguments, elementType);
+        if (elementTag) yield elementTag;
+      } else if (call && call.type === 'NewExpression' && callee === this &&
+          EVENT_CLASSES.includes(name)) {
+        const eventTag = tagInfoOfEvent(call.arguments[0], DEF);
+        if (eventTag) yield eventTag;
+      }
+
+      // el.className = 'foo bar' and el.id = 'baz'
+      if (SELECTOR_PROPERTIES.hasOwnProperty(name) && parentProp === 'property' &&
+          !parentNode.computed && parentNode.parentProp === 'left' &&
+          parentNode.parentNode.type === 'AssignmentExpression') {
+        yield *tagInfoFromLiteral(parentNode.parentNode.right,
+          SELECTOR_PROPERTIES[name]);
+      }
+
+      // el.dataset.fooBar is of 'data-foo-bar' attribute
+      if (name === 'dataset' && parentProp === 'property' &&
+          parentNode.parentProp === 'object' &&
+          parentNode.parentNode.type === 'MemberExpression') {
+        const {property, computed} = parentNode.parentNode;
+        const isLiteral = property.type === 'Literal' && typeof property.value === 'string';
+        if (isLiteral || (!computed && property.type === 'Identifier')) {
+          const {loc: {start: {line, column}}} = property;
+          const key = isLiteral ? property.value : property.name;
+          yield { tagInfo: Object.assign({
+            type: REF,
+            name: `data-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`,
+            line,
+            column: column + (isLiteral ? 1 : 0),   // 1 for quotation mark
+            kind: 'html-data',
+          }, qualifiedScopeOf(property))};
+        }
+      }
+
+      // Object.defineProperty(obj, 'name', descriptor)
+      if (name === 'defineProperty' && parentProp === 'property' &&
+          parentNode.object.name === 'Object') {
+        const {parentNode: callExpression, parentProp: calleeProp} = parentNode;
+        const [object, property] = callExpression.arguments || [];
+        if (calleeProp === 'callee' && property && property.type === 'Literal' &&
+            typeof property.value === 'string') {
+          const {loc: {start: {line, column}}} = property;
+          yield { tagInfo: Object.assign({
+            type: DEF,
+            name: property.value,
+            line,
+            column: column + 1,   // 1 for quotation mark
+            kind: 'property',
+          }, objectScopeOf(object))};
+        }
       }
     }},
   });
@@ -410,40 +1094,83 @@ function decorateAST(aAstNode) {
   }
 }
 
-function* tagInfoFromLiteral(aLiteralNode, isSelector = false) {
-  const {value, line, column} = (function(){
-    switch(aLiteralNode.type) {
-      case 'Literal': {
-        const {value, loc:{start:{line, column}}} = aLiteralNode;
-        return {value, line, column};
-      }
-      case 'TemplateLiteral': {
-        const {value: {raw: value}, loc:{start:{line, column}}} =
-          aLiteralNode.quasis[0];
-        return {value, line, column};
-      }
-    }
-  })();
-
-  const idPtrn = isSelector ? /[.#]\b[\w-]+\b/g : /\b[\w-]+\b/g;
-  const ids = value.match(idPtrn);
-  if (ids) {
-    for (const id of ids) {
-      const splitStrings = value.split('\n');
-      let nLineOffset = 0, nColOffset;
-      for (nColOffset = splitStrings[nLineOffset].indexOf(id);
-        nColOffset === -1;
-        nColOffset = splitStrings[++nLineOffset].indexOf(id));
-      const prefixLen = isSelector ? 1 : 0;
-      yield { tagInfo: {
+// Event named by a string literal or a template literal without expressions
+function tagInfoOfEvent(aNameNode, aType) {
+  const name = stringOf(aNameNode);
+  if (!name) return null;
+
+  const {loc: {start: {line, column}}} = aNameNode;
+  return { tagInfo: Object.assign({
+    type: aType,
+    name,
+    line,
+    column: column + 1,   // 1 for quotation mark
+    kind: 'event',
+  }, qualifiedScopeOf(aNameNode))};
+}
+
+// Custom element named by the first of aArguments, with the name of the class
+// of the second if it's defined
+function tagInfoOfCustomElement([aNameNode, aClassNode], aType) {
+  if (!aNameNode || aNameNode.type !== 'Literal') return null;
+  const {value: name} = aNameNode;
+  if (!isCustomElementName(name)) return null;
+
+  const {loc: {start: {line, column}}} = aNameNode;
+  const className = aType === DEF && aClassNode &&
+    (aClassNode.type === 'Identifier' ? aClassNode : aClassNode.id);
+  return { tagInfo: Object.assign({
+    type: aType,
+    name,
+    line,
+    column: column + 1,   // 1 for quotation mark
+    kind: 'custom-element',
+  }, qualifiedScopeOf(aNameNode), className ? {class: className.name} : {})};
+}
+
+// Last name of 'foo.bar' or 'bar'
+function lastName(aNode) {
+  switch (aNode.type) {
+    case 'Identifier':
+      return aNode.name;
+    case 'MemberExpression':
+      return aNode.computed ? '' : aNode.property.name;
+  }
+  return '';
+}
+
+// Names in a string literal or in every quasi of a template literal; class
+// and id names of selectors, or names separated by spaces for others
+function* tagInfoFromLiteral(aLiteralNode, aKind) {
+  let strings;
+  switch (aLiteralNode.type) {
+    case 'Literal':
+      if (typeof aLiteralNode.value !== 'string') return;
+      strings = [{raw: aLiteralNode.raw.slice(1, -1), loc: aLiteralNode.loc}];
+      break;
+    case 'TemplateLiteral':
+      strings = aLiteralNode.quasis.map(({value: {raw}, loc}) => ({raw, loc}));
+      break;
+    default:
+      return;
+  }
+
+  const pattern = aKind === 'css-selector' ? /[.#](-?[_a-zA-Z][\w-]*)/g : /([\w-]+)/g;
+  for (const {raw, loc: {start}} of strings) {
+    for (let match; (match = pattern.exec(raw)); ) {
+      const [whole, name] = match;
+      const index = match.index + whole.length - name.length;
+      const lines = raw.slice(0, index).split('\n');
+      yield { tagInfo: Object.assign({
         type: REF,
-        line: line + nLineOffset,
-        column: nLineOffset ?
-          prefixLen + nColOffset :
-          // 1 for quotation mark that begins literal
-          1 + column + prefixLen + nColOffset,
-        name: id.slice(prefixLen),  // remove prefix '.' or '#'
-      }};
+        line: start.line + lines.length - 1,
+        column: lines.length > 1 ?
+          lines[lines.length - 1].length :
+          // 1 for quotation mark or delimiter that begins string
+          start.column + 1 + index,
+        name,
+        kind: aKind,
+      }, qualifiedScopeOf(aLiteralNode))};
     }
   }
 }
@@ -458,10 +1185,21 @@ function isVarAssignedFromRequire(aNode) {
   if (init && init.type === 'CallExpression') {
     const {callee: {type, name}} = init;
     if (type === 'Identifier' && name === 'require') {
-      const {arguments:[{type: argType, value}]} = init;
-      return argType === 'Literal' &&
-        varName.toLowerCase() === path.basename(value).toLowerCase();
+      const moduleName = stringOf(init.arguments[0]);
+      return moduleName !== undefined &&
+        varName.toLowerCase() === path.basename(moduleName).toLowerCase();
     }
   }
   return false;
 }
+
+// Value of aNode if it's a string literal or a template literal without
+// expressions, or undefined
+function stringOf(aNode) {
+  if (!aNode) return undefined;
+  if (aNode.type === 'Literal' && typeof aNode.value === 'string') return aNode.value;
+  if (aNode.type === 'TemplateLiteral' && !aNode.expressions.length) {
+    return aNode.quasis[0].value.cooked;
+  }
+  return undefined;
+}
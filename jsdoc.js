@@ -0,0 +1,117 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module */
+
+// Tags in JSDoc comments. Names that @typedef, @callback, @namespace and
+// @event define are definitions, and names of types in {...} of block tags
+// and targets of {@link ...} are references.
+
+module.exports = {
+  tagsOfJSDoc,
+};
+
+const DEF = 'D';
+const REF = 'R';
+
+// Block tags naming what they define, and their kinds
+const DEFINING_TAGS = {
+  typedef: 'type',
+  callback: 'type',
+  namespace: 'namespace',
+  event: 'event',
+};
+
+// Block tags that may be followed by a type in {...}
+const TYPED_TAGS = [
+  'arg', 'argument', 'augments', 'const', 'constant', 'define', 'enum',
+  'exception', 'extends', 'implements', 'member', 'param', 'prop', 'property',
+  'return', 'returns', 'satisfies', 'template', 'this', 'throws', 'type',
+  'typedef', 'var', 'yield', 'yields',
+];
+
+// Words in type expressions that aren't names of types
+const TYPE_KEYWORDS = [
+  'any', 'asserts', 'bigint', 'boolean', 'extends', 'false', 'function',
+  'import', 'infer', 'is', 'keyof', 'never', 'new', 'null', 'number', 'object',
+  'readonly', 'string', 'symbol', 'this', 'true', 'typeof', 'undefined',
+  'unique', 'unknown', 'void',
+];
+
+// Tag infos of a comment like those of identifiers; 1-based line and 0-based
+// column. Comments other than /** ... */ have none.
+function tagsOfJSDoc({type, value, loc: {start}}) {
+  if (type !== 'Block' || !value.startsWith('*')) return [];
+
+  const tags = [];
+  const addTag = (aType, aName, aIndex, aKind) => {
+    const lines = value.slice(0, aIndex).split('\n');
+    tags.push({
+      type: aType,
+      name: aName,
+      line: start.line + lines.length - 1,
+      column: lines.length > 1 ?
+        lines[lines.length - 1].length :
+        start.column + 2 + aIndex,    // 2 for '/*'
+      kind: aKind,
+    });
+  };
+  const addTypeTags = (aExpression, aIndex) => {
+    // Strings are blanked out and names followed by ':' are of properties or
+    // parameters
+    const expression = aExpression.replace(/(["'])(?:\\.|(?!\1)[^\\])*\1/g,
+      s => ' '.repeat(s.length));
+    const name = /[A-Za-z_$][\w$]*(?!\s*:|[\w$])/g;
+    for (let match; (match = name.exec(expression)); ) {
+      if (TYPE_KEYWORDS.includes(match[0])) continue;
+      addTag(REF, match[0], aIndex + match.index, 'reference');
+    }
+  };
+
+  const blockTag = /(^|[\s*])@(\w+)/g;
+  for (let match; (match = blockTag.exec(value)); ) {
+    const tagName = match[2];
+    let index = match.index + match[0].length;
+    index += /^[ \t]*/.exec(value.slice(index))[0].length;
+
+    if (value[index] === '{' && TYPED_TAGS.includes(tagName)) {
+      const end = closingBrace(value, index);
+      if (end < 0) continue;
+      addTypeTags(value.slice(index + 1, end), index + 1);
+      index = end + 1;
+      index += /^[ \t]*/.exec(value.slice(index))[0].length;
+    }
+
+    if (DEFINING_TAGS.hasOwnProperty(tagName)) {
+      // The last part of a name path like 'module:foo.Bar' or 'Foo#change'
+      const [path] = /^[^\s{}*]*/.exec(value.slice(index));
+      const separator = tagName === 'event' ? /#/g : /[.#~:]/g;
+      const nameIndex = path.split(separator).slice(0, -1)
+        .reduce((i, part) => i + part.length + 1, 0);
+      const name = path.slice(nameIndex);
+      if (name) addTag(DEF, name, index + nameIndex, DEFINING_TAGS[tagName]);
+    }
+  }
+
+  // {@link Foo}, {@link Foo#bar|text} and {@linkcode Foo.bar baz}
+  const link = /\{@link(?:code|plain)?\s+([^\s|}]+)/g;
+  for (let match; (match = link.exec(value)); ) {
+    const [whole, target] = match;
+    if (/:\/\//.test(target)) continue;  // URLs
+    addTypeTags(target, match.index + whole.length - target.length);
+  }
+  return tags;
+}
+
+// Index of '}' that closes '{' at aIndex of aText, or -1
+function closingBrace(aText, aIndex) {
+  let depth = 0;
+  for (let i = aIndex; i < aText.length; ++i) {
+    if (aText[i] === '{') {
+      ++depth;
+    } else if (aText[i] === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,166 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+// Markdown documents. Code blocks are tagged by the taggers of their languages
+// at their positions in the document, headings are definitions of their
+// anchors and links to anchors like '[see](#installation)' are references.
+
+const {readFile, normalizeSource} = require('./common.js');
+const {tagJavaScript} = require('./js-parser.js');
+const {tagHTML} = require('./html-parser.js');
+const {tagCSS} = require('./css-parser.js');
+const {tagSFC} = require('./sfc-parser.js');
+
+module.exports = {
+  tagMarkdown,
+  tagMarkdownFile,
+};
+
+const DEF = 'D';
+const REF = 'R';
+
+// Languages of info strings of fenced code blocks
+const CODE_LANGUAGES = {
+  js: 'javascript', javascript: 'javascript', mjs: 'javascript',
+  cjs: 'javascript', node: 'javascript', jsx: 'jsx',
+  ts: 'typescript', typescript: 'typescript', tsx: 'tsx',
+  html: 'html', htm: 'html', xhtml: 'html',
+  css: 'css', scss: 'scss', vue: 'vue', svelte: 'svelte',
+};
+
+// Characters that GitHub drops from anchors of headings; all but Unicode
+// letters, marks, numbers, '-', '_' and spaces. It's made by RegExp() as \p{}
+// is beyond ES2017 that the linter parses.
+const SLUG_EXCLUDED = new RegExp('[^\\p{L}\\p{M}\\p{N}\\-_ ]', 'gu');
+
+const TAGGERS = {
+  javascript: tagJavaScript,
+  jsx:        tagJavaScript,
+  typescript: tagJavaScript,
+  tsx:        tagJavaScript,
+  html:       tagHTML,
+  css:        tagCSS,
+  scss:       tagCSS,
+  vue:        tagSFC,
+  svelte:     tagSFC,
+};
+
+// aOptions.codelang is the language of indented code blocks and fenced ones
+// without info string. A comment like '<!-- language: js -->' right before a
+// code block gives the language of it instead.
+// The rest of aOptions is passed to taggers of code blocks.
+function tagMarkdown(aSource, aPath, aLineOffset = 0, aColumnOffset = 0,
+  aOptions = {}) {
+  if (!aSource || !aPath) {
+    throw new TypeError('Source code and its path must be given.');
+  }
+
+  const tags = [];
+  const lines = normalizeSource(aSource).split('\n');
+  const addTag = (aType, aName, aLine, aColumn, aKind) => tags.push({
+    type: aType,
+    name: aName,
+    line: aLine + 1 + aLineOffset,
+    column: aColumn + 1 + (aLine === 0 ? aColumnOffset : 0),
+    kind: aKind,
+    path: aPath,
+    ref: lines[aLine],
+  });
+  // Code of aLanguage on lines from aBegin to aEnd(exclusive), kept as it is
+  // for tags to be at columns of the document
+  const tagCode = (aLanguage, aBegin, aEnd) => {
+    const language = CODE_LANGUAGES[String(aLanguage).toLowerCase()];
+    const code = lines.slice(aBegin, aEnd).join('\n');
+    if (!language || !code.trim()) return;
+    tags.push(...TAGGERS[language](code, aPath, aBegin + aLineOffset,
+      aBegin === 0 ? aColumnOffset : 0,
+      Object.assign({}, aOptions, {language, sourceMap: false})));
+  };
+
+  const slugs = new Map();    // slug -> times it's been used
+  const addHeading = (aText, aLine, aColumn) => {
+    const text = aText.replace(/\s+#+\s*$/, '').trim();
+    let slug = text.toLowerCase().replace(SLUG_EXCLUDED, '').replace(/ /g, '-');
+    const count = slugs.get(slug) || 0;
+    slugs.set(slug, count + 1);
+    if (count) slug += `-${count}`;
+    if (slug) addTag(DEF, slug, aLine, aColumn, 'anchor');
+  };
+
+  let hint;                   // Language of <!-- language: ... -->
+  let previous = -1;          // Index of the last line of text, -1 after blocks
+  for (let i = 0; i < lines.length; ++i) {
+    const line = lines[i];
+
+    const fence = /^( {0,3})(`{3,}|~{3,})\s*([^\s`{]*)/.exec(line);
+    if (fence) {
+      const [, , marker, info] = fence;
+      let end = i + 1;
+      while (end < lines.length &&
+          !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[end])) {
+        ++end;
+      }
+      tagCode(info || hint || aOptions.codelang, i + 1, end);
+      hint = undefined;
+      previous = -1;
+      i = end;
+      continue;
+    }
+
+    // Indented lines after a blank line, unless they continue list items
+    const isIndented = /^( {4}|\t)/.test(line) && line.trim();
+    const isInList = previous >= 0 && /^\s|^([-*+]|\d+[.)])\s/.test(lines[previous]);
+    if (isIndented && previous < i - 1 && !isInList) {
+      let end = i + 1;
+      while (end < lines.length && (/^( {4}|\t)/.test(lines[end]) || !lines[end].trim())) {
+        ++end;
+      }
+      while (!lines[end - 1].trim()) --end;
+      tagCode(hint || aOptions.codelang, i, end);
+      hint = undefined;
+      previous = -1;
+      i = end - 1;
+      continue;
+    }
+
+    const languageHint = /^\s*<!--\s*language:\s*(?:lang-)?([\w-]+)\s*-->\s*$/.exec(line);
+    if (languageHint) {
+      hint = languageHint[1];
+      previous = -1;
+      continue;
+    }
+    if (!line.trim()) continue;
+    hint = undefined;
+
+    const atxHeading = /^( {0,3}#{1,6}[ \t]+)(.*)$/.exec(line);
+    if (atxHeading) {
+      addHeading(atxHeading[2], i, atxHeading[1].length);
+    } else if (/^ {0,3}(=+|-+)\s*$/.test(line) && previous === i - 1 &&
+        !/^\s*([-*+]|\d+[.)])\s|^ {0,3}#/.test(lines[previous])) {
+      // Setext heading underlines the line before
+      const heading = lines[previous];
+      addHeading(heading, previous, heading.length - heading.trimLeft().length);
+      previous = i;
+      continue;
+    }
+
+    // [text](#anchor), [text](other.md#anchor) and [label]: #anchor out of
+    // code spans
+    const text = line.replace(/(`+)[^`][\s\S]*?\1/g, s => ' '.repeat(s.length));
+    const link = /\]\([^()\s#:]*#([^)\s]+)\)|^\s*\[[^\]]+\]:\s*[^\s#:]*#(\S+)/g;
+    for (let match; (match = link.exec(text)); ) {
+      const anchor = match[1] || match[2];
+      addTag(REF, anchor, i, match.index + match[0].lastIndexOf(`#${anchor}`) + 1,
+        'anchor');
+    }
+    previous = i;
+  }
+  return tags;
+}
+
+function tagMarkdownFile(aPath, aOptions = {}) {
+  return readFile(aPath, aOptions.encoding)
+    .then(src => tagMarkdown(src, aPath, 0, 0, aOptions));
+}
@@ -0,0 +1,115 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require, __filename */
+
+// Worker pool tagging files in parallel. Results are reported in the order of
+// given files, so output is the same as tagging them one by one.
+
+const {Worker, isMainThread, parentPort, workerData} = require('worker_threads');
+
+module.exports = {
+  tagFiles,
+};
+
+// aTagger names a function that takes (aPath, aOptions) and returns tags or a
+// promise of them: {module: absolute path of the module, method, options}.
+// aOnResult({path, result, error}) is called for each file in order of aFiles
+// with what the function returned or threw.
+function tagFiles(aFiles, aTagger, aJobs = 1, aOnResult = () => {}) {
+  const jobs = Math.min(Math.max(1, aJobs), aFiles.length);
+  return jobs > 1 ?
+    tagFilesInParallel(aFiles, aTagger, jobs, aOnResult) :
+    tagFilesInSerial(aFiles, aTagger, aOnResult);
+}
+
+async function tagFilesInSerial(aFiles, {module, method, options}, aOnResult) {
+  const tag = require(module)[method];
+  for (const path of aFiles) {
+    let result;
+    try {
+      result = {path, result: await tag(path, options)};
+    } catch(error) {
+      result = {path, error};
+    }
+    aOnResult(result);
+  }
+}
+
+function tagFilesInParallel(aFiles, aTagger, aJobs, aOnResult) {
+  return new Promise(resolve => {
+    const results = [];
+    let nextToTag = 0;
+    let nextToReport = 0;
+
+    for (let i = 0; i < aJobs; ++i) spawn();
+
+    function spawn() {
+      const worker = new Worker(__filename, {
+        workerData: Object.assign({isTagWorker: true}, aTagger),
+      });
+      let current;    // index of the file being tagged by this worker
+      let uncaughtError;
+
+      worker.on('message', ({result, error}) => {
+        report(current, error ? {error: deserializeError(error)} : {result});
+        current = dispatch(worker);
+      });
+      worker.on('error', error => uncaughtError = error);
+      worker.on('exit', code => {
+        if (current === undefined) return;
+        report(current, {
+          error: uncaughtError || new Error(`Worker exited with code ${code}`),
+        });
+        spawn();      // Replace the worker for remaining files
+      });
+
+      current = dispatch(worker);
+    }
+
+    function dispatch(aWorker) {
+      if (nextToTag >= aFiles.length) {
+        aWorker.terminate();
+        return undefined;
+      }
+      const index = nextToTag++;
+      aWorker.postMessage(aFiles[index]);
+      return index;
+    }
+
+    function report(aIndex, aResult) {
+      results[aIndex] = Object.assign({path: aFiles[aIndex]}, aResult);
+      while (results[nextToReport]) {
+        aOnResult(results[nextToReport]);
+        results[nextToReport++] = true;   // Release the tags
+      }
+      if (nextToReport === aFiles.length) resolve();
+    }
+  });
+}
+
+// Errors lose their class when they are posted between threads
+function serializeError({name, message, stack}) {
+  return {name, message, stack};
+}
+
+function deserializeError({name, message, stack}) {
+  const ErrorClass = global[name] && global[name].prototype instanceof Error ?
+    global[name] : Error;
+  return Object.assign(new ErrorClass(message), {stack});
+}
+
+function runWorker({module, method, options}) {
+  const tag = require(module)[method];
+  parentPort.on('message', async aPath => {
+    try {
+      parentPort.postMessage({result: await tag(aPath, options)});
+    } catch(e) {
+      parentPort.postMessage({error: serializeError(e)});
+    }
+  });
+}
+
+if (!isMainThread && workerData && workerData.isTagWorker) {
+  runWorker(workerData);
+}
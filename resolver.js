@@ -0,0 +1,297 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+// Resolves module specifiers of import/require to files the way Node.js does;
+// relative paths, index files, 'main' and 'exports' of package.json and
+// node_modules directories up to the root. Names that modules export are
+// collected to relate imported bindings to what they are defined as.
+
+const fs = require('fs');
+const path = require('path');
+const {builtinModules} = require('module');
+const {decodeSource} = require('./common.js');
+const backends = require('./backends/index.js');
+
+module.exports = {
+  resolveModule,
+  exportsOf,
+};
+
+const EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.json'];
+
+// Conditions of 'exports' in package.json that are taken when met first
+const CONDITIONS = ['node', 'import', 'require', 'default'];
+
+// Returns the absolute path of the file aSpecifier refers to from aFromPath,
+// 'node:<name>' for built-in modules or null if it can't be resolved.
+function resolveModule(aSpecifier, aFromPath) {
+  if (typeof aSpecifier !== 'string' || !aSpecifier) return null;
+
+  const builtin = aSpecifier.replace(/^node:/, '');
+  if (builtinModules.includes(builtin)) return `node:${builtin}`;
+
+  const fromDir = path.dirname(path.resolve(aFromPath));
+  if (/^\.{0,2}\//.test(aSpecifier) || aSpecifier === '.' || aSpecifier === '..') {
+    return resolvePath(path.resolve(fromDir, aSpecifier));
+  }
+  return resolvePackage(aSpecifier, fromDir);
+}
+
+function resolvePath(aPath) {
+  return resolveFile(aPath) || resolveDirectory(aPath);
+}
+
+function resolveFile(aPath) {
+  for (const extension of ['', ...EXTENSIONS]) {
+    if (isFile(aPath + extension)) return aPath + extension;
+  }
+  return null;
+}
+
+function resolveDirectory(aDir) {
+  const pkg = readPackage(aDir);
+  const entry = pkg && (exportsEntry(pkg.exports, '.') || pkg.main);
+  return entry && resolvePath(path.join(aDir, entry)) ||
+    resolveFile(path.join(aDir, 'index'));
+}
+
+// 'name/sub/path' or '@scope/name/sub/path' in node_modules of aFromDir or
+// of its ancestors
+function resolvePackage(aSpecifier, aFromDir) {
+  const [, name, subpath = ''] = aSpecifier.match(/^((?:@[^/]+\/)?[^/]+)(\/.*)?$/);
+  for (let dir = aFromDir; ; dir = path.dirname(dir)) {
+    const packageDir = path.join(dir, 'node_modules', name);
+    if (isDirectory(packageDir)) {
+      if (!subpath) return resolveDirectory(packageDir);
+      const pkg = readPackage(packageDir);
+      const entry = pkg && exportsEntry(pkg.exports, `.${subpath}`);
+      return resolvePath(path.join(packageDir, entry || subpath));
+    }
+    if (dir === path.dirname(dir)) return null;
+  }
+}
+
+// Target of aSubpath like '.' or './feature' in 'exports' of package.json
+function exportsEntry(aExports, aSubpath) {
+  if (!aExports) return undefined;
+
+  const isSubpathMap = typeof aExports === 'object' && !Array.isArray(aExports) &&
+    Object.keys(aExports).some(key => key.startsWith('.'));
+  if (!isSubpathMap) return aSubpath === '.' ? conditionalTarget(aExports) : undefined;
+
+  if (aExports.hasOwnProperty(aSubpath)) return conditionalTarget(aExports[aSubpath]);
+  for (const key of Object.keys(aExports)) {   // patterns like './lib/*'
+    const [prefix, suffix] = key.split('*');
+    if (suffix === undefined ||
+        aSubpath.length < prefix.length + suffix.length ||
+        !aSubpath.startsWith(prefix) || !aSubpath.endsWith(suffix)) {
+      continue;
+    }
+    const target = conditionalTarget(aExports[key]);
+    const matched = aSubpath.slice(prefix.length, aSubpath.length - suffix.length);
+    return target && target.replace('*', matched);
+  }
+  return undefined;
+}
+
+function conditionalTarget(aTarget) {
+  if (typeof aTarget === 'string') return aTarget;
+  if (Array.isArray(aTarget)) {
+    for (const target of aTarget) {
+      const resolved = conditionalTarget(target);
+      if (resolved) return resolved;
+    }
+  } else if (aTarget instanceof Object) {
+    for (const condition of Object.keys(aTarget)) {
+      if (!CONDITIONS.includes(condition)) continue;
+      const resolved = conditionalTarget(aTarget[condition]);
+      if (resolved) return resolved;
+    }
+  }
+  return undefined;
+}
+
+function readPackage(aDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(aDir, 'package.json'), 'utf8'));
+  } catch(e) {
+    return null;
+  }
+}
+
+function isFile(aPath) {
+  try {
+    return fs.statSync(aPath).isFile();
+  } catch(e) {
+    return false;
+  }
+}
+
+function isDirectory(aPath) {
+  try {
+    return fs.statSync(aPath).isDirectory();
+  } catch(e) {
+    return false;
+  }
+}
+
+const exportsCache = new Map();   // path -> {mtimeMs, exports}
+
+// Names that the module at aPath exports mapped to {name, path} of what they
+// are defined as, following re-exports. 'default' is named after what is
+// exported by default and left out if it's anonymous. 'module.exports' of
+// CommonJS counts as the default export.
+function exportsOf(aPath) {
+  const exports = new Map();
+  if (!aPath || aPath.startsWith('node:') || path.extname(aPath) === '.json') {
+    return exports;
+  }
+
+  let mtimeMs;
+  try {
+    ({mtimeMs} = fs.statSync(aPath));
+  } catch(e) {
+    return exports;
+  }
+  const cached = exportsCache.get(aPath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.exports;
+  exportsCache.set(aPath, {mtimeMs, exports});  // Ends circular re-exports
+
+  let ast;
+  try {
+    const language = /\.[mc]?tsx$/.test(aPath) ? 'tsx' :
+      /\.[mc]?ts$/.test(aPath) ? 'typescript' : 'javascript';
+    ast = backends.parse(decodeSource(fs.readFileSync(aPath)), {language});
+  } catch(e) {
+    return exports;
+  }
+
+  const local = aName => ({name: aName, path: aPath});
+  const reexported = (aSource, aName) => {
+    const target = resolveModule(aSource, aPath);
+    return exportsOf(target).get(aName) || {name: aName, path: target || aPath};
+  };
+
+  for (const node of ast.body) {
+    switch (node.type) {
+      case 'ExportNamedDeclaration': {
+        const {declaration, specifiers, source} = node;
+        declaredNames(declaration).forEach(n => exports.set(n, local(n)));
+        for (const specifier of specifiers) {
+          const name = nameOf(specifier.local);
+          exports.set(nameOf(specifier.exported),
+            source ? reexported(source.value, name) : local(name));
+        }
+        break;
+      }
+      case 'ExportDefaultDeclaration':
+      case 'TSExportAssignment': {          // export = foo
+        const {declaration = node.expression} = node;
+        const [name = declaration.type === 'Identifier' && declaration.name] =
+          declaredNames(declaration);
+        if (name) exports.set('default', local(name));
+        break;
+      }
+      case 'ExportAllDeclaration': {
+        if (node.exported) {                // export * as foo from 'bar'
+          const name = nameOf(node.exported);
+          exports.set(name, local(name));
+          break;
+        }
+        const target = resolveModule(node.source.value, aPath);
+        for (const [name, symbol] of exportsOf(target)) {
+          // Explicit exports take precedence
+          if (name !== 'default' && !exports.has(name)) exports.set(name, symbol);
+        }
+        break;
+      }
+      case 'ExpressionStatement':
+        commonJSExports(node.expression).forEach(([exported, name]) =>
+          exports.set(exported, local(name)));
+        break;
+    }
+  }
+  return exports;
+}
+
+// Names declared by a declaration statement
+function declaredNames(aNode) {
+  if (!aNode) return [];
+  switch (aNode.type) {
+    case 'VariableDeclaration':
+      return [].concat(...aNode.declarations.map(({id}) => patternNames(id)));
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'TSDeclareFunction':
+    case 'TSEnumDeclaration':
+    case 'TSInterfaceDeclaration':
+    case 'TSModuleDeclaration':
+    case 'TSTypeAliasDeclaration':
+      return aNode.id ? [nameOf(aNode.id)] : [];
+  }
+  return [];
+}
+
+function patternNames(aPattern) {
+  if (!aPattern) return [];
+  switch (aPattern.type) {
+    case 'Identifier':
+      return [aPattern.name];
+    case 'ObjectPattern':
+      return [].concat(...aPattern.properties.map(p =>
+        patternNames(p.type === 'RestElement' ? p.argument : p.value)));
+    case 'ArrayPattern':
+      return [].concat(...aPattern.elements.map(patternNames));
+    case 'AssignmentPattern':
+      return patternNames(aPattern.left);
+    case 'RestElement':
+      return patternNames(aPattern.argument);
+  }
+  return [];
+}
+
+// [exported name, defined name] pairs of 'exports.foo = ...',
+// 'module.exports = {foo, bar}' and 'module.exports = foo'
+function commonJSExports(aExpression) {
+  if (aExpression.type !== 'AssignmentExpression' || aExpression.operator !== '=') {
+    return [];
+  }
+  const {left, right} = aExpression;
+  if (isExports(left)) {
+    switch (right.type) {
+      case 'ObjectExpression':
+        return right.properties
+          .filter(p => p.type === 'Property' && !p.computed)
+          .map(({key}) => [nameOf(key), nameOf(key)]);
+      case 'AssignmentExpression':          // exports = module.exports = ...
+        return commonJSExports(right);
+    }
+    const [name = right.type === 'Identifier' && right.name] = declaredNames(right);
+    return name ? [['default', name]] : [];
+  }
+  if (left.type === 'MemberExpression' && !left.computed && isExports(left.object)) {
+    const name = nameOf(left.property);
+    return [[name, name], ...commonJSExports(right)];
+  }
+  return [];
+}
+
+function isExports(aNode) {
+  switch (aNode.type) {
+    case 'Identifier':
+      return aNode.name === 'exports';
+    case 'MemberExpression':
+      return !aNode.computed && aNode.object.type === 'Identifier' &&
+        aNode.object.name === 'module' && nameOf(aNode.property) === 'exports';
+  }
+  return false;
+}
+
+// Names of identifiers or string literals like 'export {foo as "bar"}'
+function nameOf(aNode) {
+  return aNode.type === 'Literal' ? String(aNode.value) : aNode.name;
+}
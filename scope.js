@@ -0,0 +1,389 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module */
+
+module.exports = {
+  analyzeScopes,
+  resolveBinding,
+  qualifiedScopeOf,
+  objectScopeOf,
+  memberScopeOf,
+};
+
+// Objects that CommonJS modules export their members through
+const EXPORTS = ['exports', 'module.exports'];
+
+// Scopes whose bindings are visible to the whole file
+const FILE_LEVEL_SCOPES = ['global', 'module'];
+
+class Scope {
+  constructor(aType, aNode, aParent = null) {
+    Object.assign(this, {type: aType, node: aNode, parent: aParent});
+    this.bindings = new Map();  // name -> [declaring Identifier nodes]
+  }
+
+  get isLocal() {
+    return !FILE_LEVEL_SCOPES.includes(this.type);
+  }
+
+  // Nearest scope that 'var' declarations are hoisted to
+  get variableScope() {
+    let scope = this;
+    while (scope.parent && !['function', ...FILE_LEVEL_SCOPES].includes(scope.type)) {
+      scope = scope.parent;
+    }
+    return scope;
+  }
+
+  declare(aIdNode) {
+    const {name} = aIdNode;
+    if (!this.bindings.has(name)) this.bindings.set(name, []);
+    this.bindings.get(name).push(aIdNode);
+  }
+
+  resolve(aName) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.bindings.has(aName)) return scope;
+    }
+    return null;
+  }
+}
+
+// Build function, block, class, catch and module scopes over a decorated AST.
+// Every node gets a 'scope' property pointing at the innermost enclosing scope.
+function analyzeScopes(aAST) {
+  const isModule = aAST.sourceType === 'module' ||
+    aAST.body.some(({type}) => /^(Import|Export)/.test(type));
+  visit(aAST, new Scope(isModule ? 'module' : 'global', aAST));
+  return aAST.scope;
+}
+
+function visit(aNode, aScope) {
+  if (!(aNode instanceof Object)) return;
+  Object.defineProperty(aNode, 'scope', {value: aScope});
+  if (aNode instanceof Array) {
+    aNode.forEach(n => visit(n, aScope));
+    return;
+  }
+
+  switch (aNode.type) {
+    case 'FunctionDeclaration':
+      if (aNode.id) aScope.declare(aNode.id);
+      // fall through
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression': {
+      // Names of function and class expressions are left undeclared on purpose
+      // so that they keep being tagged as definitions.
+      const scope = new Scope('function', aNode, aScope);
+      if (aNode.id) visit(aNode.id, aScope);
+      aNode.params.forEach(p => declarePattern(p, scope));
+      visit(aNode.params, scope);
+      visitBody(aNode.body, scope);
+      return;
+    }
+    case 'ClassDeclaration':
+    case 'ClassExpression': {
+      if (aNode.type === 'ClassDeclaration' && aNode.id) aScope.declare(aNode.id);
+      const scope = new Scope('class', aNode, aScope);
+      if (aNode.id) visit(aNode.id, aScope);
+      visit(aNode.superClass, aScope);
+      visit(aNode.body, scope);
+      return;
+    }
+    case 'CatchClause': {
+      const scope = new Scope('catch', aNode, aScope);
+      if (aNode.param) {
+        declarePattern(aNode.param, scope);
+        visit(aNode.param, scope);
+      }
+      visitBody(aNode.body, scope);
+      return;
+    }
+    case 'BlockStatement':
+    case 'StaticBlock':
+    case 'SwitchStatement':
+      visitChildren(aNode, new Scope('block', aNode, aScope));
+      return;
+    case 'ForStatement':
+    case 'ForInStatement':
+    case 'ForOfStatement': {
+      const head = aNode.type === 'ForStatement' ? aNode.init : aNode.left;
+      const isLexical = head && head.type === 'VariableDeclaration' &&
+        head.kind !== 'var';
+      visitChildren(aNode, isLexical ? new Scope('block', aNode, aScope) : aScope);
+      return;
+    }
+    case 'VariableDeclaration': {
+      const scope = aNode.kind === 'var' ? aScope.variableScope : aScope;
+      aNode.declarations.forEach(({id}) => declarePattern(id, scope));
+      break;
+    }
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'ImportSpecifier':
+      aScope.declare(aNode.local);
+      break;
+  }
+  visitChildren(aNode, aScope);
+}
+
+function visitChildren(aNode, aScope) {
+  for (const prop in aNode) {
+    if (prop !== 'loc') visit(aNode[prop], aScope);
+  }
+}
+
+// Function bodies and catch blocks share the scope of their function/catch
+function visitBody(aBody, aScope) {
+  if (aBody.type === 'BlockStatement') {
+    Object.defineProperty(aBody, 'scope', {value: aScope});
+    visit(aBody.body, aScope);
+  } else {
+    visit(aBody, aScope);   // expression body of an arrow function
+  }
+}
+
+function declarePattern(aPattern, aScope) {
+  if (!aPattern) return;
+  switch (aPattern.type) {
+    case 'Identifier':
+      aScope.declare(aPattern);
+      break;
+    case 'ObjectPattern':
+      aPattern.properties.forEach(p =>
+        declarePattern(p.type === 'RestElement' ? p.argument : p.value, aScope));
+      break;
+    case 'ArrayPattern':
+      aPattern.elements.forEach(e => declarePattern(e, aScope));
+      break;
+    case 'AssignmentPattern':
+      declarePattern(aPattern.left, aScope);
+      break;
+    case 'RestElement':
+      declarePattern(aPattern.argument, aScope);
+      break;
+  }
+}
+
+// Qualified name of what encloses aNode and the kind of the innermost named
+// one, e.g. {scope: 'Widget.prototype.render', scopeKind: 'method'} for nodes
+// in 'class Widget { render() {...} }' or {scope: 'ns.util', scopeKind:
+// 'object'} for keys of 'ns.util = {...}'. Empty at the top level.
+function qualifiedScopeOf(aNode) {
+  const names = [];
+  let scopeKind;
+  for (let node = aNode; node.parentNode; ) {
+    let {parentNode, parentProp} = node;
+    while (parentNode instanceof Array) {
+      parentProp = parentNode.parentProp;
+      parentNode = parentNode.parentNode;
+    }
+    const [name, kind, isQualified] = containerName(parentNode, parentProp);
+    if (name) {
+      names.unshift(name);
+      scopeKind = scopeKind || kind;
+    }
+    if (isQualified) break;
+    node = parentNode;
+  }
+  return names.length ? {scope: names.join('.'), scopeKind} : {};
+}
+
+// [name, kind, isQualified] that aNode contributes to the scope of its child
+// at aProp. Qualified names like 'Foo.prototype.bar' of functions assigned to
+// members aren't qualified further by outer ones.
+function containerName(aNode, aProp) {
+  switch (aNode.type) {
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression': {
+      if (!['params', 'returnType', 'typeParameters', 'body'].includes(aProp)) break;
+      const {type, method, kind, left} = aNode.parentNode;
+      const isMethod = /MethodDefinition$/.test(type) ||
+        type === 'Property' && (method || kind !== 'init') ||
+        type === 'AssignmentExpression' && memberScopeOf(left).scopeKind === 'class';
+      return [functionName(aNode), isMethod ? 'method' : 'function',
+        type === 'AssignmentExpression' && !!memberScopeOf(left).scope];
+    }
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return aProp === 'body' ? [functionName(aNode), 'class'] : [];
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+    case 'TSAbstractMethodDefinition':
+    case 'TSAbstractPropertyDefinition':
+      return aProp === 'key' && !aNode.static ? ['prototype'] : [];
+    case 'ObjectExpression': {
+      const name = objectName(aNode);
+      return [name, EXPORTS.includes(name) ? 'module' : 'object'];
+    }
+    case 'TSModuleDeclaration':
+      return aProp === 'body' ? [propertyName(aNode.id), 'namespace'] : [];
+    case 'TSInterfaceDeclaration':
+      return aProp === 'body' ? [aNode.id.name, 'interface'] : [];
+    case 'TSEnumDeclaration':
+      return aProp === 'members' ? [aNode.id.name, 'enum'] : [];
+  }
+  return [];
+}
+
+// Object literals are named after what they are assigned to
+function objectName(aObjectNode) {
+  const {parentNode, parentProp} = aObjectNode;
+  switch (`${parentNode.type}.${parentProp}`) {
+    case 'VariableDeclarator.init':
+      return parentNode.id.type === 'Identifier' ? parentNode.id.name : '';
+    case 'AssignmentExpression.right':
+      return memberName(parentNode.left);
+    case 'Property.value':
+    case 'PropertyDefinition.value':
+      return propertyName(parentNode.key);
+  }
+  return '';
+}
+
+// Scope that members of aObjectNode are defined in, like {scope:
+// 'Foo.prototype', scopeKind: 'class'} for 'Foo.prototype' or 'this' in
+// constructors of Foo. Empty if the object has no name.
+function objectScopeOf(aObjectNode) {
+  let scope = memberName(aObjectNode);
+  if (scope === 'this') {
+    const constructor = constructorName(aObjectNode);
+    scope = constructor && `${constructor}.prototype`;
+  }
+  if (!scope) return {};
+  const scopeKind = EXPORTS.includes(scope) ? 'module' :
+    /(^|\.)prototype$/.test(scope) ? 'class' : 'object';
+  return {scope, scopeKind};
+}
+
+// Scope of 'a.b' in 'a.b = ...' when that defines something; that is 'b' of
+// exports, prototypes or 'this' in constructors.
+function memberScopeOf(aMemberNode) {
+  if (aMemberNode.type !== 'MemberExpression' || aMemberNode.computed) return {};
+  const memberScope = objectScopeOf(aMemberNode.object);
+  return memberScope.scopeKind === 'object' ? {} : memberScope;
+}
+
+// Name of the class or constructor function that 'this' in aNode refers to.
+// Functions named in upper camel case are taken as constructors.
+function constructorName(aNode) {
+  for (let node = aNode.parentNode; node; node = node.parentNode) {
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'FunctionExpression': {
+        const {parentNode} = node;
+        if (parentNode.type === 'MethodDefinition') {
+          if (parentNode.kind !== 'constructor') return '';
+          const [classBody] = parentNode.getAncestor('ClassBody');
+          return functionName(classBody.parentNode);
+        }
+        const name = functionName(node);
+        return /^[A-Z][\w$]*$/.test(name) ? name : '';
+      }
+    }
+  }
+  return '';
+}
+
+// Dotted name of a member expression like 'module.exports'
+function memberName(aNode) {
+  switch (aNode.type) {
+    case 'Identifier':
+      return aNode.name;
+    case 'ThisExpression':
+      return 'this';
+    case 'MemberExpression': {
+      const object = memberName(aNode.object);
+      const property = aNode.computed ? '' : propertyName(aNode.property);
+      return object && property ? `${object}.${property}` : '';
+    }
+  }
+  return '';
+}
+
+// Name used for qualifying the scope of a function or class; anonymous ones
+// are named after what they are assigned to where possible.
+function functionName(aNode) {
+  const {id, parentNode, parentProp} = aNode;
+  if (id) return id.name;
+
+  switch (`${parentNode.type}.${parentProp}`) {
+    case 'VariableDeclarator.init':
+      return parentNode.id.type === 'Identifier' ? parentNode.id.name : '';
+    case 'AssignmentExpression.right': {
+      const {left} = parentNode;
+      const name = propertyName(left) || '<anonymous>';
+      const {scope} = memberScopeOf(left);
+      return scope ? `${scope}.${name}` : name;
+    }
+    case 'Property.value':
+      return propertyName(parentNode.key) || '<anonymous>';
+    case 'MethodDefinition.value':
+    case 'PropertyDefinition.value': {
+      const {key, kind} = parentNode;
+      if (kind === 'constructor') return '';
+      const name = propertyName(key) || '<anonymous>';
+      return parentNode.static ? name : `prototype.${name}`;
+    }
+  }
+  return '<anonymous>';
+}
+
+function propertyName(aNode) {
+  switch (aNode.type) {
+    case 'Identifier':
+      return aNode.name;
+    case 'PrivateIdentifier':
+      return `#${aNode.name}`;
+    case 'Literal':
+      return String(aNode.value);
+    case 'MemberExpression':
+      return aNode.computed ? '' : propertyName(aNode.property);
+  }
+  return '';
+}
+
+// Returns {scope, isDeclaration} for an identifier that names a variable, or
+// null when it is a property name, label or an implicit global.
+function resolveBinding(aIdNode) {
+  const {name, scope} = aIdNode;
+  let {parentNode, parentProp} = aIdNode;
+  while (parentNode instanceof Array) {
+    parentProp = parentNode.parentProp;
+    parentNode = parentNode.parentNode;
+  }
+  if (!scope || !isVariableName(parentNode, parentProp)) return null;
+
+  const bindingScope = scope.resolve(name);
+  if (!bindingScope) return null;
+
+  return {
+    scope: bindingScope,
+    isDeclaration: bindingScope.bindings.get(name).includes(aIdNode),
+  };
+}
+
+function isVariableName(aParentNode, aParentProp) {
+  switch (`${aParentNode.type}.${aParentProp}`) {
+    case 'MemberExpression.property':
+    case 'Property.key':
+    case 'MethodDefinition.key':
+    case 'PropertyDefinition.key':
+      return aParentNode.computed;
+    case 'LabeledStatement.label':
+    case 'BreakStatement.label':
+    case 'ContinueStatement.label':
+    case 'ExportSpecifier.exported':
+    case 'ImportSpecifier.imported':
+    case 'MetaProperty.meta':
+    case 'MetaProperty.property':
+    case 'JSXAttribute.name':
+    case 'JSXMemberExpression.property':
+    case 'JSXNamespacedName.name':
+    case 'JSXNamespacedName.namespace':
+      return false;
+  }
+  return true;
+}
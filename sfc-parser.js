@@ -0,0 +1,349 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require */
+
+// Single-file components of Vue and Svelte. They're tagged as gtags-html does
+// with expressions in templates tagged as JavaScript, and components used in
+// templates are references.
+
+const path = require('path');
+const {readFile, isCustomElementName} = require('./common.js');
+const {tagJavaScript} = require('./js-parser.js');
+const {tagMarkup} = require('./html-parser.js');
+const backends = require('./backends/index.js');
+
+module.exports = {
+  tagSFC,
+  tagSFCFile,
+};
+
+const DEF = 'D';
+const REF = 'R';
+
+// Code of expressions is parenthesized not to be taken as statements
+const EXPRESSION = ['(', ')'];
+
+const VUE_BUILT_IN_COMPONENTS = [
+  'Component', 'KeepAlive', 'Slot', 'Suspense', 'Teleport', 'Template',
+  'Transition', 'TransitionGroup',
+];
+
+// Options of Vue components whose keys are definitions, and their kinds
+const VUE_MEMBER_KINDS = {
+  props: 'property',
+  data: 'field',
+  computed: 'property',
+  methods: 'method',
+};
+
+// aOptions.language is 'vue' or 'svelte' and guessed from the extension of
+// aPath unless given. The rest of aOptions is passed to tagJavaScript and
+// tagCSS for scripts, styles and expressions.
+function tagSFC(aSource, aPath, aLineOffset = 0, aColumnOffset = 0,
+  aOptions = {}) {
+  const language = aOptions.language === 'svelte' ||
+    /\.svelte$/i.test(aPath || '') ? 'svelte' : 'vue';
+  const dialect = {vue: vueDialect, svelte: svelteDialect}[language];
+  return tagMarkup(aSource, aPath, aLineOffset, aColumnOffset, aOptions, dialect);
+}
+
+function tagSFCFile(aPath, aOptions = {}) {
+  return readFile(aPath, aOptions.encoding)
+    .then(src => tagSFC(src, aPath, 0, 0, aOptions));
+}
+
+const vueDialect = {
+  // <UserCard> and <user-card> are references to UserCard
+  element(aName, aOffset, {addTag}) {
+    if (!/^[A-Z]/.test(aName) && !isCustomElementName(aName)) return false;
+    const name = aName.replace(/(?:^|-)(\w)/g, (m, c) => c.toUpperCase());
+    if (!VUE_BUILT_IN_COMPONENTS.includes(name)) {
+      addTag(REF, name, aOffset, 'component');
+    }
+    return true;
+  },
+
+  attribute({name, value, valueOffset}, {tagScript}) {
+    const [, directive] = /^(?:v-([\w-]+)|([:@#.]))/.exec(name) || [];
+    const shorthand = !directive && /^[:@#.]/.test(name) && name[0];
+    if (!directive && !shorthand) return false;
+    if (value === undefined) return true;      // v-else, v-cloak and so on
+
+    switch (directive || shorthand) {
+      case 'on':
+      case '@':
+        // Method names or statements handling '$event'
+        tagScript(value, valueOffset, ['(function($event) {', '})']);
+        break;
+      case 'slot':
+      case '#':
+        break;                                  // Patterns of slot props
+      case 'for': {
+        // Aliases are local to the element, 'in' or 'of' is followed by what's
+        // iterated
+        const loop = /^([\s\S]*?\s)(?:in|of)\s/.exec(value);
+        if (loop) {
+          tagScript(value.slice(loop[0].length), valueOffset + loop[0].length,
+            EXPRESSION);
+        }
+        break;
+      }
+      default:
+        tagScript(value, valueOffset, EXPRESSION);
+    }
+    return true;
+  },
+
+  // {{ expression }}
+  text(aText, aOffset, {tagScript}) {
+    const interpolation = /\{\{([\s\S]*?)\}\}/g;
+    for (let match; (match = interpolation.exec(aText)); ) {
+      tagScript(match[1], aOffset + match.index + 2, EXPRESSION);
+    }
+  },
+
+  scriptTagger: tagVueScript,
+};
+
+const svelteDialect = {
+  // Values may be {expressions} with spaces and an attribute may be just
+  // {name} or {...spread}
+  attributePattern: new RegExp([
+    /\s(\{[^{}]*\}|[^\s"'>/=]+)/.source,
+    /(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|(\{(?:[^{}]|\{[^{}]*\})*\}|[^\s"'=<>`]+)))?/.source,
+  ].join(''), 'g'),
+
+  // '<' and '>' in {expressions} like 'on:click={() => foo()}' aren't tags.
+  // Contents of <script> and <style> are left as they are.
+  mask(aSource) {
+    return aSource.split(/(<(?:script|style)\b[\s\S]*?<\/(?:script|style)\s*>)/i)
+      .map((aPart, aIndex) => aIndex % 2 ? aPart : maskBraces(aPart))
+      .join('');
+  },
+
+  element(aName, aOffset, {addTag}) {
+    if (!/^[A-Z]/.test(aName)) return false;
+    addTag(REF, aName.split('.')[0], aOffset, 'component');
+    return true;
+  },
+
+  attribute({name, nameOffset, value, valueOffset}, {addTag, tagScript}) {
+    const shorthand = /^\{(\s*(?:\.\.\.)?)([\s\S]*)\}$/.exec(name);
+    if (shorthand) {                            // {name} and {...props}
+      const [, prefix, expression] = shorthand;
+      tagScript(expression, nameOffset + 1 + prefix.length, EXPRESSION);
+      return true;
+    }
+
+    const directive =
+      /^(on|bind|class|style|use|transition|in|out|animate|let):([\w$-]+)/.exec(name);
+    if (directive) {
+      const [, type, target] = directive;
+      const targetOffset = nameOffset + type.length + 1;
+      if (['use', 'transition', 'in', 'out', 'animate'].includes(type) ||
+          (value === undefined && ['bind', 'class', 'style'].includes(type))) {
+        // Actions, transitions and animations by name, and variables bound
+        // by name like 'bind:value'
+        addTag(REF, target, targetOffset, 'reference');
+      }
+    }
+    if (value === undefined) return Boolean(directive);
+
+    const expressions = braceGroups(value);
+    expressions.forEach(({content, offset}) =>
+      tagScript(content, valueOffset + offset, EXPRESSION));
+    return Boolean(directive) || expressions.length > 0;
+  },
+
+  // {expression} and blocks like {#if expression}
+  text(aText, aOffset, {tagScript}) {
+    for (const {content, offset} of braceGroups(aText)) {
+      const contentOffset = aOffset + offset;
+      const block = /^\s*([#:/@])(\w+)\s*/.exec(content);
+      if (!block) {
+        tagScript(content, contentOffset, EXPRESSION);
+        continue;
+      }
+      const [whole, sigil, keyword] = block;
+      const rest = content.slice(whole.length);
+      const restOffset = contentOffset + whole.length;
+      switch (`${sigil}${keyword}`) {
+        case '#if':
+        case '#key':
+        case '@html':
+        case '@debug':
+        case '@render':
+          tagScript(rest, restOffset, EXPRESSION);
+          break;
+        case ':else': {
+          const elseIf = /^if\s/.exec(rest);
+          if (elseIf) {
+            tagScript(rest.slice(elseIf[0].length), restOffset + elseIf[0].length,
+              EXPRESSION);
+          }
+          break;
+        }
+        case '#each':
+        case '#await': {
+          // What's iterated or awaited is followed by aliases
+          const alias = /\s(?:as|then|catch)(?:\s|$)/.exec(rest);
+          tagScript(alias ? rest.slice(0, alias.index) : rest, restOffset,
+            EXPRESSION);
+          break;
+        }
+        case '@const': {                        // {@const foo = bar}
+          const keywordOffset = whole.indexOf(keyword);
+          tagScript(content.slice(keywordOffset), contentOffset + keywordOffset);
+          break;
+        }
+      }
+    }
+  },
+};
+
+function maskBraces(aText) {
+  const chars = aText.split('');
+  for (const {content, offset} of braceGroups(aText)) {
+    for (let i = offset; i < offset + content.length; ++i) {
+      if ('<>'.includes(chars[i])) chars[i] = ' ';
+    }
+  }
+  return chars.join('');
+}
+
+// Contents of outermost {...} in aText with their offsets. Braces in strings
+// don't count.
+function braceGroups(aText) {
+  const groups = [];
+  let depth = 0, begin, quote;
+  for (let i = 0; i < aText.length; ++i) {
+    const c = aText[i];
+    if (quote) {
+      if (c === '\\') ++i;
+      else if (c === quote) quote = null;
+    } else if (depth && ['\'', '"', '`'].includes(c)) {
+      quote = c;
+    } else if (c === '{') {
+      if (depth++ === 0) begin = i + 1;
+    } else if (c === '}' && depth) {
+      if (--depth === 0) groups.push({content: aText.slice(begin, i), offset: begin});
+    }
+  }
+  return groups;
+}
+
+// Scripts of Vue components where keys of 'props', 'data', 'computed' and
+// 'methods' options and of defineProps() are definitions, scoped by the name
+// of the component
+function tagVueScript(aCode, aPath, aLineOffset, aColumnOffset, aOptions) {
+  const tags = tagJavaScript(aCode, aPath, aLineOffset, aColumnOffset, aOptions);
+  let ast;
+  try {
+    ast = backends.parse(aCode, {language: aOptions.language, parser: aOptions.parser});
+  } catch(e) {
+    return tags;    // Reported by tagJavaScript
+  }
+
+  const sources = aCode.split('\n');
+  const scope = path.basename(aPath, path.extname(aPath));
+  for (const {node, name, kind} of vueMembers(ast)) {
+    const {line, column} = node.loc.start;
+    const tagInfo = {
+      type: DEF,
+      name,
+      line: line + aLineOffset,
+      column: column + 1 + (node.type === 'Literal' ? 1 : 0) +
+        (line === 1 ? aColumnOffset : 0),
+      kind,
+      scope,
+      scopeKind: 'class',
+    };
+    const tag = tags.find(t => t.name === name && t.line === tagInfo.line &&
+      t.column === tagInfo.column);
+    if (tag) {
+      Object.assign(tag, tagInfo);
+    } else {
+      tags.push(Object.assign(tagInfo, {path: aPath, ref: sources[line - 1]}));
+    }
+  }
+  return tags;
+}
+
+// {node, name, kind} of keys that Vue component options define
+function vueMembers(aAST) {
+  const members = [];
+  const addKeys = (aNode, aKind) => {
+    if (!aNode) return;
+    switch (aNode.type) {
+      case 'ObjectExpression':
+        for (const property of aNode.properties) {
+          if (property.type !== 'Property' || property.computed) continue;
+          const {key} = property;
+          const name = key.type === 'Literal' ? String(key.value) : key.name;
+          members.push({node: key, name, kind: aKind});
+        }
+        break;
+      case 'ArrayExpression':                   // props: ['foo', 'bar']
+        for (const element of aNode.elements) {
+          if (element && element.type === 'Literal' && typeof element.value === 'string') {
+            members.push({node: element, name: element.value, kind: aKind});
+          }
+        }
+        break;
+      case 'TSTypeLiteral':                     // defineProps<{foo: string}>()
+        for (const member of aNode.members) {
+          if (member.type === 'TSPropertySignature' && !member.computed) {
+            members.push({node: member.key, name: member.key.name, kind: aKind});
+          }
+        }
+        break;
+    }
+  };
+
+  for (const node of descendants(aAST)) {
+    if (node.type === 'ExportDefaultDeclaration') {
+      // export default {...} or export default defineComponent({...})
+      let {declaration} = node;
+      if (declaration.type === 'CallExpression') [declaration] = declaration.arguments;
+      if (!declaration || declaration.type !== 'ObjectExpression') continue;
+      for (const property of declaration.properties) {
+        const {key, value} = property;
+        if (property.type !== 'Property' || property.computed ||
+            !VUE_MEMBER_KINDS.hasOwnProperty(key.name)) {
+          continue;
+        }
+        const kind = VUE_MEMBER_KINDS[key.name];
+        addKeys(key.name === 'data' ? returnedObject(value) : value, kind);
+      }
+    } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+        node.callee.name === 'defineProps') {
+      const typeArguments = node.typeParameters || node.typeArguments;
+      addKeys(node.arguments[0] ||
+        typeArguments && typeArguments.params[0], VUE_MEMBER_KINDS.props);
+    }
+  }
+  return members;
+}
+
+// Object that data() returns
+function returnedObject(aFunction) {
+  if (!/Function/.test(aFunction.type)) return aFunction;
+  const {body} = aFunction;
+  if (body.type !== 'BlockStatement') return body;   // () => ({...})
+  const statement = body.body.find(s => s.type === 'ReturnStatement');
+  return statement && statement.argument;
+}
+
+function* descendants(aNode) {
+  for (const key of Object.keys(aNode)) {
+    if (['parent', 'loc', 'range'].includes(key)) continue;
+    const value = aNode[key];
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (child && typeof child.type === 'string') {
+        yield child;
+        yield* descendants(child);
+      }
+    }
+  }
+}
@@ -0,0 +1,181 @@
+// vim:ft=javascript:ts=2:sw=2:et:
+'use strict';
+
+/* global module, require, process */
+
+// Source maps(version 3) of generated code like minified bundles. Tags of the
+// generated code are mapped back to where they're in the original sources.
+// Maps are read from 'data:' URLs or local files only; nothing is fetched.
+
+const fs = require('fs');
+const path = require('path');
+const {fileURLToPath} = require('url');
+
+module.exports = {
+  sourceMapURLOf,
+  loadSourceMap,
+  decodeMappings,
+  mapTags,
+};
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const URL_PREFIX = 'sourceMappingURL=';
+
+// URL of the last '//# sourceMappingURL=...' of aSource, or undefined
+function sourceMapURLOf(aSource) {
+  const index = aSource.lastIndexOf(URL_PREFIX);
+  if (index < 0) return undefined;
+  const lineStart = aSource.lastIndexOf('\n', index) + 1;
+  if (!/^\s*\/\/[#@]\s*$/.test(aSource.slice(lineStart, index))) return undefined;
+  return /^\S*/.exec(aSource.slice(index + URL_PREFIX.length))[0];
+}
+
+// {map, file} of the source map that sourceMapURLOf(aSource) refers to, where
+// file is the path of the map that its sources are relative to. null if
+// there's no local map. Throws if the map can't be read or isn't a valid one.
+function loadSourceMap(aSource, aPath) {
+  const url = sourceMapURLOf(aSource);
+  if (url === undefined) return null;
+
+  let json, file;
+  const dataURL = /^data:([^,]*),(.*)$/.exec(url);
+  if (dataURL) {
+    const [, mediaType, data] = dataURL;
+    json = /;base64$/.test(mediaType) ?
+      Buffer.from(data, 'base64').toString() : decodeURIComponent(data);
+    file = aPath;
+  } else if (/^file:/i.test(url)) {
+    file = fileURLToPath(url);
+  } else if (url && !/^[a-z][\w+.-]*:/i.test(url)) {
+    file = path.join(path.dirname(aPath), decodeURIComponent(url));
+  } else {
+    return null;    // Remote ones
+  }
+  if (json === undefined) json = fs.readFileSync(file, 'utf8');
+
+  // )]}' prevents maps from being run as scripts
+  const map = JSON.parse(json.replace(/^\)\]\}'[^\n]*\n/, ''));
+  if (map.sections) {
+    throw new SyntaxError('Index maps with sections are not supported');
+  }
+  if (map.version !== 3 || typeof map.mappings !== 'string' ||
+    !Array.isArray(map.sources)) {
+    throw new SyntaxError('Not a source map of version 3');
+  }
+  return {map, file};
+}
+
+// Segments of each generated line of aMappings sorted by column, which are
+// [column] or [column, source, line, column, name] of 0-based absolute
+// numbers. name is -1 if the segment has none.
+function decodeMappings(aMappings) {
+  const lines = [];
+  let source = 0, line = 0, column = 0, name = 0;
+  for (const group of aMappings.split(';')) {
+    const segments = [];
+    let generated = 0;
+    for (const segment of group.split(',')) {
+      if (!segment) continue;
+      const values = decodeVLQ(segment);
+      generated += values[0];
+      if (values.length < 4) {
+        segments.push([generated]);
+        continue;
+      }
+      source += values[1];
+      line += values[2];
+      column += values[3];
+      if (values.length > 4) name += values[4];
+      segments.push([generated, source, line, column, values.length > 4 ? name : -1]);
+    }
+    lines.push(segments.sort((a, b) => a[0] - b[0]));
+  }
+  return lines;
+}
+
+// Base64 VLQ; 5 bits per digit from the least significant ones, the 6th bit
+// for continuation and the sign in the least significant bit of the value
+function decodeVLQ(aSegment) {
+  const values = [];
+  let value = 0, scale = 1;
+  for (const char of aSegment) {
+    const digit = BASE64.indexOf(char);
+    if (digit < 0) throw new SyntaxError(`Invalid VLQ segment '${aSegment}'`);
+    value += (digit & 31) * scale;
+    if (digit & 32) {
+      scale *= 32;
+    } else {
+      values.push(value % 2 ? -Math.floor(value / 2) : value / 2);
+      value = 0;
+      scale = 1;
+    }
+  }
+  return values;
+}
+
+// Tags of the generated code at aPath mapped by aSourceMap of loadSourceMap().
+// A tag at the start of a segment with a name is renamed so. Its path, line,
+// column and ref become those of the original if the original source is
+// available in 'sourcesContent' or as a local file, and are kept otherwise
+// not to refer to what doesn't exist.
+function mapTags(aTags, {map, file}, aPath) {
+  const lines = decodeMappings(map.mappings);
+  const names = map.names || [];
+  const root = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+  const originals = map.sources.map((source, i) => {
+    const url = root + (source || '');
+    const isLocal = !/^[a-z][\w+.-]*:/i.test(url) || /^file:/i.test(url);
+    const local = isLocal && (/^file:/i.test(url) ?
+      fileURLToPath(url) : path.join(path.dirname(file), url));
+    let content = (map.sourcesContent || [])[i];
+    if (typeof content !== 'string' && local) {
+      try {
+        content = fs.readFileSync(local, 'utf8');
+      } catch(e) {
+        content = undefined;
+      }
+    }
+    return {
+      path: !local ? url :
+        path.isAbsolute(aPath) ? path.resolve(local) : path.relative(process.cwd(), local),
+      lines: typeof content === 'string' ? content.split('\n') : undefined,
+    };
+  });
+
+  return aTags.map(tag => {
+    const segment = segmentAt(lines[tag.line - 1] || [], tag.column - 1);
+    if (!segment || segment.length < 4) return tag;
+
+    const [generated, source, line, column, name] = segment;
+    const mapped = Object.assign({}, tag);
+    if (name >= 0 && generated === tag.column - 1 && names[name]) {
+      mapped.name = names[name];
+    }
+    const original = originals[source];
+    if (!original || !original.lines) return mapped;
+
+    // Columns in a segment are kept if the original has the name there
+    const ref = original.lines[line] || '';
+    const offset = tag.column - 1 - generated;
+    return Object.assign(mapped, {
+      path: original.path,
+      line: line + 1,
+      column: column + 1 + (ref.startsWith(mapped.name, column + offset) ? offset : 0),
+      ref,
+    });
+  });
+}
+
+// The last segment of aSegments that starts at or before aColumn
+function segmentAt(aSegments, aColumn) {
+  let low = 0, high = aSegments.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (aSegments[middle][0] <= aColumn) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return aSegments[low - 1];
+}
@@ -0,0 +1,66 @@
+'use strict';
+
+const assert = require('assert');
+
+const {tag, tagFile} = require('..');
+
+describe('tag', function() {
+  it('returns tags and diagnostics', function() {
+    const {tags, diagnostics} = tag('function foo() { bar(); }', {path: 'foo.js'});
+    assert.deepEqual(tags.map(({type, name}) => `${type},${name}`),
+      ['D,foo', 'R,bar']);
+    assert.deepEqual(diagnostics, []);
+  });
+
+  it('applies offsets and options', function() {
+    const {tags} = tag('function foo(a) { return a; }', {
+      path: 'foo.js',
+      lineOffset: 9,
+      columnOffset: 4,
+      options: {locals: 'skip'},
+    });
+    assert.deepEqual(tags.map(({name, line, column}) => `${name},${line}:${column}`),
+      ['foo,10:14']);
+  });
+
+  it('applies the column offset to the first line only', function() {
+    const {tags} = tag('a;\n/** @typedef {Object} T */\nb; c;', {
+      path: 'foo.js',
+      lineOffset: 9,
+      columnOffset: 10,
+    });
+    assert.deepEqual(tags.map(({name, line, column}) => `${name},${line}:${column}`),
+      ['a,10:11', 'b,12:1', 'c,12:4', 'Object,11:15', 'T,11:23']);
+  });
+
+  it('guesses the language from path', function() {
+    const {tags} = tag('<div id="foo"></div>', {path: 'foo.html'});
+    assert.deepEqual(tags.map(({type, name}) => `${type},${name}`), ['D,foo']);
+    assert.throws(() => tag(';', {path: 'foo.js', language: 'cobol'}), TypeError);
+  });
+
+  it('reports unknown identifiers as diagnostics', function() {
+    const {diagnostics: [unknown]} = tag('with (obj) {}', {path: 'foo.js'});
+    assert.strictEqual(unknown.code, 'unknown-identifier');
+    assert.strictEqual(unknown.name, 'obj');
+    assert.strictEqual(unknown.rule, 'WithStatement.object');
+    assert.strictEqual(unknown.line, 1);
+    assert.strictEqual(unknown.column, 7);
+  });
+
+  it('reports debugging details only when asked', function() {
+    const src = 'foo();';
+    const severities = options => tag(src, {path: 'foo.js', options})
+      .diagnostics.map(({severity}) => severity);
+    assert.deepEqual(severities({}), []);
+    assert.deepEqual(severities({debug: true}), ['debug']);
+  });
+});
+
+describe('tagFile', function() {
+  it('rejects with the error of reading file', function() {
+    return tagFile('test/samples/no-such-file.js').then(
+      () => assert.fail('not rejected'),
+      e => assert.strictEqual(e.code, 'ENOENT'));
+  });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('assert');
+const {PassThrough} = require('stream');
+
+const {tagJavaScript} = require('..');
+const {serveBatch} = require('../batch.js');
+
+describe('Batch mode', function() {
+  function serve(aRequests) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const done = serveBatch((aSource, aPath) => tagJavaScript(aSource, aPath),
+      input, output);
+    aRequests.forEach(r => input.write(r));
+    input.end();
+    return done.then(() => output.read().toString());
+  }
+
+  it('tags files of paths on stdin each followed by an empty line',
+    async function() {
+      const sampleFile = 'test/samples/001.VariableDeclarator.js';
+      const output = await serve([`${sampleFile}\n`, sampleFile]);
+      const files = output.split('\n\n');
+      assert.strictEqual(files.length, 3);
+      assert.strictEqual(files[0], files[1]);
+      assert.ok(files[0].startsWith(`D,fs,${sampleFile},`));
+      assert.strictEqual(files[2], '');
+    });
+
+  it('tags length-prefixed contents', async function() {
+    const src = 'function foo() {}\n';
+    const output = await serve([
+      `:${Buffer.byteLength(src)} foo.js\n`, src.slice(0, 5), src.slice(5),
+      ':7 bar.js\nbar();\n',
+    ]);
+    assert.strictEqual(output, [
+      'D,foo,foo.js,1:10,function foo() {}\n',
+      'R,bar,bar.js,1:1,bar();\n',
+      '',
+    ].join('\n'));
+  });
+
+  it('reports contents cut off and still terminates them', async function() {
+    const errors = [];
+    const {error} = console;
+    console.error = aMessage => errors.push(aMessage);
+    let output;
+    try {
+      output = await serve([':100 foo.js\nfoo();']);
+    } finally {
+      console.error = error;
+    }
+    assert.strictEqual(output, '\n');
+    assert.deepEqual(errors, ['foo.js : Contents ended at 6 of 100 bytes']);
+  });
+});
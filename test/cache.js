@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {cached} = require('../cache.js');
+const {tag} = require('..');
+const {makeTempDir, removeTempDir} = require('./helpers/tmpdir.js');
+
+describe('Cache', function() {
+  let dir;
+  const entries = () => fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+
+  beforeEach(function() {
+    dir = makeTempDir('gtags-parsers-cache-');
+  });
+
+  afterEach(function() {
+    removeTempDir(dir);
+  });
+
+  it('computes once for the same key', function() {
+    let count = 0;
+    const compute = () => ({count: ++count});
+    assert.deepEqual(cached({dir}, ['a', 1], compute), {count: 1});
+    assert.deepEqual(cached({dir}, ['a', 1], compute), {count: 1});
+    assert.deepEqual(cached({dir}, ['a', 2], compute), {count: 2});
+    assert.equal(entries().length, 2);
+    assert.deepEqual(fs.readdirSync(dir).filter(f => !f.endsWith('.json')), []);
+  });
+
+  it('recomputes broken entries', function() {
+    cached({dir}, 'key', () => 1);
+    fs.writeFileSync(path.join(dir, entries()[0]), '{"trunc');
+    assert.equal(cached({dir}, 'key', () => 2), 2);
+    assert.equal(cached({dir}, 'key', () => 3), 2);
+  });
+
+  it('evicts least recently used entries over the size', function() {
+    const value = 'x'.repeat(100);
+    const age = () => entries().forEach(f => {
+      const file = path.join(dir, f);
+      const past = new Date(fs.statSync(file).mtimeMs - 10000);
+      fs.utimesSync(file, past, past);
+    });
+    ['a', 'b', 'c'].forEach(key => {
+      cached({dir, size: 1000}, key, () => value);
+      age();
+    });
+    cached({dir, size: 1000}, 'a', () => 'recomputed');   // used recently
+    cached({dir, size: 350}, 'd', () => value);
+    assert.equal(entries().length, 2);
+    assert.equal(cached({dir}, 'a', () => 'evicted'), value);
+    assert.equal(cached({dir}, 'b', () => 'evicted'), 'evicted');
+  });
+
+  it('keeps results of tag() by source and options', function() {
+    const source = 'function foo() { bar(); }';
+    const names = aOptions => tag(source, {path: 'foo.js', options: aOptions})
+      .tags.map(({name}) => name);
+    assert.deepEqual(names({cache: {dir}}), ['foo', 'bar']);
+    fs.writeFileSync(path.join(dir, entries()[0]),
+      JSON.stringify({tags: [{name: 'cached'}], diagnostics: []}));
+    assert.deepEqual(names({cache: {dir}, jobs: 4}), ['cached']);
+    assert.deepEqual(names({cache: {dir}, locals: 'skip'}), ['foo', 'bar']);
+    assert.deepEqual(names({}), ['foo', 'bar']);
+    assert.deepEqual(names({cache: {dir}, resolve: true}), ['foo', 'bar']);
+    assert.equal(entries().length, 2);
+  });
+});
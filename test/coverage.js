@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require('assert');
+const {spawnSync} = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const {coverageOf, formatCoverage} = require('../coverage.js');
+const {tag} = require('..');
+const {makeTempDir, removeTempDir} = require('./helpers/tmpdir.js');
+
+describe('Coverage', function() {
+  const diagnosticsOf = (aSource, aPath) => tag(aSource, {path: aPath}).diagnostics;
+
+  it('counts unknown identifiers by rule', function() {
+    const coverage = coverageOf([].concat(
+      diagnosticsOf('with (a) { b; }\nwith (c) {}', 'a.js'),
+      diagnosticsOf('@dec class A {}\nwith (d) {}', 'b.ts'),
+      diagnosticsOf('known();', 'c.js')));
+    assert.deepEqual(coverage.map(({rule, count, example: {path, line, column}}) =>
+      [rule, count, `${path}:${line}:${column}`]), [
+      ['WithStatement.object', 3, 'a.js:1:7'],
+      ['Decorator.expression', 1, 'b.ts:1:2'],
+    ]);
+    assert.equal(formatCoverage(coverage), [
+      '     3  WithStatement.object  a.js:1:7 a',
+      '     1  Decorator.expression  b.ts:1:2 dec',
+      '4 unknown identifiers of 2 rules',
+      '',
+    ].join('\n'));
+  });
+
+  it('reports none', function() {
+    assert.equal(formatCoverage(coverageOf(diagnosticsOf('known();', 'c.js'))),
+      'No unknown identifiers\n');
+  });
+
+  describe('of directories', function() {
+    let root;
+
+    beforeEach(function() {
+      root = makeTempDir();
+    });
+
+    afterEach(function() {
+      removeTempDir(root);
+    });
+
+    it('reports files that can\'t be read and covers the others', function() {
+      fs.writeFileSync(path.join(root, 'a.js'), 'with (a) {}');
+      fs.writeFileSync(path.join(root, 'empty.js'), '');
+      fs.symlinkSync('missing.js', path.join(root, 'broken.js'));
+      const {status, stdout, stderr} = spawnSync(process.execPath,
+        [path.join(__dirname, '../gtags-javascript'), '--coverage', root],
+        {encoding: 'utf8'});
+      assert.strictEqual(status, 1);
+      assert.ok(stderr.includes(path.join(root, 'broken.js')));
+      assert.equal(stdout, [
+        `     1  WithStatement.object  ${path.join(root, 'a.js')}:1:7 a`,
+        '1 unknown identifiers of 1 rules',
+        '',
+      ].join('\n'));
+    });
+  });
+});
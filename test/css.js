@@ -0,0 +1,94 @@
+'use strict';
+
+const assert = require('assert');
+
+const {tagCSS, tagHTML, languageOf} = require('..');
+
+describe('css-parser', function() {
+  function tagsOf(aSource, aPath = 'a.css') {
+    return tagCSS(aSource, aPath)
+      .map(({type, name, line, column, kind}) => [type, name, line, column, kind]);
+  }
+
+  it('defines class and id selectors, keyframes and custom properties', function() {
+    assert.deepEqual(tagsOf([
+      '.btn, #main > .btn-primary:not(.disabled) { --gap: 4px; }',
+      '@keyframes slide { from { left: 0; } }',
+    ].join('\n')), [
+      ['D', 'btn', 1, 2, 'css-class'],
+      ['D', 'main', 1, 8, 'css-id'],
+      ['D', 'btn-primary', 1, 16, 'css-class'],
+      ['D', 'disabled', 1, 33, 'css-class'],
+      ['D', '--gap', 1, 45, 'custom-property'],
+      ['D', 'slide', 2, 12, 'keyframes'],
+    ]);
+  });
+
+  it('references custom properties and keyframes', function() {
+    assert.deepEqual(tagsOf(
+      'a { margin: var(--gap); animation: slide 1s ease-in infinite; }'
+    ), [
+      ['R', '--gap', 1, 17, 'reference'],
+      ['R', 'slide', 1, 36, 'reference'],
+    ]);
+  });
+
+  it('tags SCSS mixins and variables', function() {
+    assert.deepEqual(tagsOf([
+      '$size: 2px;',
+      '@mixin box($w) { width: $w; }',
+      '.card { @include box($size); &-title {} }',
+    ].join('\n'), 'a.scss'), [
+      ['D', '$size', 1, 1, 'variable'],
+      ['D', 'box', 2, 8, 'mixin'],
+      ['D', 'card', 3, 2, 'css-class'],
+      ['R', 'box', 3, 18, 'reference'],
+      ['R', '$size', 3, 22, 'reference'],
+      ['D', 'card-title', 3, 30, 'css-class'],
+    ]);
+  });
+
+  it('skips parameters of SCSS mixins in their bodies', function() {
+    assert.deepEqual(tagsOf([
+      '@mixin m($a, $b: 1px, $rest...) {',
+      '  $a: $a * 2;',
+      '  .x { margin: $a $b $c; @include n($rest...); }',
+      '}',
+      '.y { width: $a; }',
+    ].join('\n'), 'a.scss'), [
+      ['D', 'm', 1, 8, 'mixin'],
+      ['D', 'x', 3, 4, 'css-class'],
+      ['R', '$c', 3, 22, 'reference'],
+      ['R', 'n', 3, 35, 'reference'],
+      ['D', 'y', 5, 2, 'css-class'],
+      ['R', '$a', 5, 13, 'reference'],
+    ]);
+  });
+
+  it('reports syntax errors as diagnostics', function() {
+    const diagnostics = [];
+    assert.deepEqual(tagCSS('a { color: red; } }', 'a.css', 0, 0, {diagnostics}), []);
+    assert.strictEqual(diagnostics[0].severity, 'error');
+    assert.strictEqual(diagnostics[0].line, 1);
+  });
+
+  it('is picked for stylesheets', function() {
+    assert.strictEqual(languageOf('a.css'), 'css');
+    assert.strictEqual(languageOf('a.scss'), 'scss');
+  });
+
+  it('tags inline styles of HTML', function() {
+    const src = [
+      '<style>',
+      '  .btn { color: red; }',
+      '</style>',
+      '<p style="margin: var(--gap)">',
+    ].join('\n');
+    const tags = tagHTML(src, 'a.html').filter(({kind}) => kind !== 'html-class');
+    assert.deepEqual(tags.map(({type, name, line, column, ref}) =>
+      [type, name, line, column, ref]), [
+      ['D', 'btn', 2, 4, '  .btn { color: red; }'],
+      ['R', '--gap', 4, 23, '<p style="margin: var(--gap)">'],
+    ]);
+  });
+});
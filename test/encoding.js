@@ -0,0 +1,95 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const iconv = require('iconv-lite');
+
+const {encodingOf} = require('../common.js');
+const {
+  tag, tagFile, tagJavaScript, tagHTML, tagCSS, tagSFC, tagMarkdown,
+} = require('..');
+const {makeTempDir, removeTempDir} = require('./helpers/tmpdir.js');
+
+describe('Encoding', function() {
+  const summaryOf = ({name, line, column}) => `${name},${line}:${column}`;
+
+  it('removes BOM and CR of line breaks', function() {
+    const {tags} = tag('\uFEFFconst a = 1;\r\nfoo(a);\r\n', {path: 'a.js'});
+    assert.deepEqual(tags.map(summaryOf), ['a,1:7', 'foo,2:1', 'a,2:5']);
+    assert.deepEqual(tags.map(({ref}) => ref),
+      ['const a = 1;', 'foo(a);', 'foo(a);']);
+  });
+
+  it('removes CR of line breaks given to taggers', function() {
+    const refsOf = aTags => aTags.map(({name, line, ref}) => `${name},${line},${ref}`);
+    assert.deepEqual(refsOf(tagJavaScript('\uFEFFfoo();\r\nbar();', 'a.js')),
+      ['foo,1,foo();', 'bar,2,bar();']);
+    assert.deepEqual(refsOf(tagHTML('<p>\r\n<b id="x"></b>', 'a.html')),
+      ['x,2,<b id="x"></b>']);
+    assert.deepEqual(refsOf(tagCSS('a {}\r\n.x {}', 'a.css')), ['x,2,.x {}']);
+    assert.deepEqual(refsOf(tagSFC('<p>\r\n{{ x }}</p>', 'a.vue')), ['x,2,{{ x }}</p>']);
+    assert.deepEqual(refsOf(tagMarkdown('# A\r\n\r\n# B\r\n', 'a.md')),
+      ['a,1,# A', 'b,3,# B']);
+  });
+
+  it('counts columns in the unit of options.columns', function() {
+    const source = 'const s = \'😀\'; const 名前 = s;';
+    const columnsIn = aUnit => tag(source, {path: 'a.js', options: {columns: aUnit}})
+      .tags.map(summaryOf);
+    assert.deepEqual(columnsIn('utf16'), ['s,1:7', '名前,1:23', 's,1:28']);
+    assert.deepEqual(columnsIn('codepoints'), ['s,1:7', '名前,1:22', 's,1:27']);
+    assert.deepEqual(columnsIn('bytes'), ['s,1:7', '名前,1:25', 's,1:34']);
+  });
+
+  it('tells encodings by BOM, the option and <meta charset>', function() {
+    const meta = Buffer.from('<meta charset="Shift_JIS">');
+    assert.equal(encodingOf(Buffer.from([0xEF, 0xBB, 0xBF]), 'a.js', 'latin1'), 'utf-8');
+    assert.equal(encodingOf(Buffer.from([0xFF, 0xFE]), 'a.js'), 'utf-16le');
+    assert.equal(encodingOf(Buffer.from('a'), 'a.js', 'euc-kr'), 'euc-kr');
+    assert.equal(encodingOf(meta, 'a.html'), 'shift_jis');
+    assert.equal(encodingOf(meta, 'a.js'), 'utf-8');
+    assert.equal(encodingOf(Buffer.from('<meta charset="utf-16">'), 'a.html'), 'utf-8');
+  });
+
+  describe('of files', function() {
+    let root;
+    const write = (aName, aSource, aEncoding) => {
+      const file = path.join(root, aName);
+      fs.writeFileSync(file, iconv.encode(aSource, aEncoding));
+      return file;
+    };
+
+    before(function() {
+      root = makeTempDir();
+    });
+
+    after(function() {
+      removeTempDir(root);
+    });
+
+    it('decodes sources by options.encoding', function() {
+      const file = write('sjis.js', 'const s = \'日本\'; const 名前 = s;', 'shift_jis');
+      return tagFile(file, {options: {encoding: 'shift_jis', columns: 'bytes'}})
+        .then(({tags}) => {
+          assert.deepEqual(tags.map(summaryOf), ['s,1:7', '名前,1:25', 's,1:32']);
+          assert.equal(tags[0].ref, 'const s = \'日本\'; const 名前 = s;');
+        });
+    });
+
+    it('decodes HTML by <meta charset>', function() {
+      const files = [
+        write('euckr.html', '<meta charset="euc-kr">\n<div id="한글"></div>', 'euc-kr'),
+        write('latin1.html', [
+          '<meta http-equiv="Content-Type" content="text/html; charset=iso-8859-1">',
+          '<p id="café"></p>',
+        ].join('\r\n'), 'latin1'),
+        write('utf16.html', '\uFEFF<p id="ünï"></p>', 'utf-16le'),
+      ];
+      return Promise.all(files.map(file => tagFile(file)))
+        .then(results => assert.deepEqual(
+          results.map(({tags}) => tags.map(summaryOf)),
+          [['한글,2:10'], ['café,2:8'], ['ünï,1:8']]));
+    });
+  });
+});
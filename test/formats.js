@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('assert');
+
+const {createWriter} = require('../formats.js');
+
+describe('Output format', function() {
+  const tags = [
+    {type: 'D', name: 'foo', path: 'a.js', line: 1, column: 10,
+      ref: 'function foo() { bar(); }', kind: 'function'},
+    {type: 'R', name: 'bar', path: 'a.js', line: 1, column: 18,
+      ref: 'function foo() { bar(); }', kind: 'reference'},
+    {type: 'D', name: 'bar', path: 'a.js', line: 2, column: 7,
+      ref: 'const bar = /a/;', kind: 'constant', scope: 'outer',
+      scopeKind: 'function'},
+  ];
+
+  function write(aFormat) {
+    const writer = createWriter(aFormat);
+    return writer.file('a.js', tags) + writer.end();
+  }
+
+  it('gtags is what customized global reads', function() {
+    assert.strictEqual(write('gtags'), [
+      'D,foo,a.js,1:10,function foo() { bar(); }',
+      'R,bar,a.js,1:18,function foo() { bar(); }',
+      'D,bar,a.js,2:7,const bar = /a/;',
+      '',
+    ].join('\n'));
+  });
+
+  it('ctags has sorted definitions with extension fields', function() {
+    assert.strictEqual(write('ctags').split('\n').filter(l => !l.startsWith('!_')).join('\n'), [
+      'bar\ta.js\t/^const bar = \\/a\\/;$/;"\tkind:constant\tline:2\tfunction:outer',
+      'foo\ta.js\t/^function foo() { bar(); }$/;"\tkind:function\tline:1',
+      '',
+    ].join('\n'));
+  });
+
+  it('etags has a section of definitions per file', function() {
+    const entries = 'function foo\x7ffoo\x011,\nconst bar\x7fbar\x012,\n';
+    assert.strictEqual(write('etags'), `\x0c\na.js,${entries.length}\n${entries}`);
+  });
+
+  it('jsonl has a JSON per tag', function() {
+    assert.deepEqual(write('jsonl').trim().split('\n').map(JSON.parse), tags);
+  });
+
+  it('lsif links references to definitions of the same name', function() {
+    const elements = write('lsif').trim().split('\n').map(JSON.parse);
+    const byId = new Map(elements.map(e => [e.id, e]));
+    const ranges = elements.filter(({label}) => label === 'range');
+    assert.strictEqual(ranges.length, 3);
+
+    const resultSetOf = range => elements
+      .find(({label, outV}) => label === 'next' && outV === range.id).inV;
+    const [, barRef, barDef] = ranges;
+    assert.strictEqual(resultSetOf(barRef), resultSetOf(barDef));
+
+    const definition = elements.find(({label, outV}) =>
+      label === 'textDocument/definition' && outV === resultSetOf(barRef));
+    const item = elements.find(({label, outV}) =>
+      label === 'item' && outV === definition.inV);
+    assert.deepEqual(item.inVs, [barDef.id]);
+    assert.strictEqual(byId.get(item.document).uri.endsWith('/a.js'), true);
+
+    assert.deepEqual([barRef.tag.type, barDef.tag.type], ['reference', 'definition']);
+    assert.strictEqual(barDef.tag.kind, 14);    // SymbolKind.Constant
+    assert.strictEqual(barDef.tag.detail, 'outer.bar');
+  });
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+module.exports = {
+  makeTempDir,
+  removeTempDir,
+};
+
+// New empty directory in the temporary one of the OS
+function makeTempDir(aPrefix = 'gtags-parsers-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), aPrefix));
+}
+
+// Removes aDir with everything in it; fs.rmSync() is of Node.js 14.14 and
+// later
+function removeTempDir(aDir) {
+  (fs.rmSync || fs.rmdirSync)(aDir, {recursive: true, force: true});
+}
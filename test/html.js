@@ -0,0 +1,129 @@
+'use strict';
+
+const assert = require('assert');
+
+const {tagHTML} = require('..');
+
+describe('html-parser', function() {
+  function tagsOf(aSource, aLineOffset, aColumnOffset) {
+    return tagHTML(aSource, 'a.html', aLineOffset, aColumnOffset)
+      .map(({type, name, line, column, kind}) => [type, name, line, column, kind]);
+  }
+
+  it('tags attributes at their exact columns', function() {
+    assert.deepEqual(tagsOf('<p><input id="foo" name=bar></p>'), [
+      ['D', 'foo', 1, 15, 'html-id'],
+      ['D', 'bar', 1, 25, 'html-name'],
+    ]);
+  });
+
+  it('splits class lists', function() {
+    assert.deepEqual(tagsOf('<a class=" btn  btn-primary active">'), [
+      ['D', 'btn', 1, 12, 'html-class'],
+      ['D', 'btn-primary', 1, 17, 'html-class'],
+      ['D', 'active', 1, 29, 'html-class'],
+    ]);
+  });
+
+  it('tags multi-line tags and attributes', function() {
+    assert.deepEqual(tagsOf([
+      '<div',
+      '  id="main"',
+      '  class="a',
+      '    b">',
+    ].join('\n')), [
+      ['D', 'main', 2, 7, 'html-id'],
+      ['D', 'a', 3, 10, 'html-class'],
+      ['D', 'b', 4, 5, 'html-class'],
+    ]);
+  });
+
+  it('defines data attributes', function() {
+    assert.deepEqual(tagsOf('<div data-foo-bar="1" data-X data-y=\'\'>'), [
+      ['D', 'data-foo-bar', 1, 6, 'html-data'],
+      ['D', 'data-x', 1, 23, 'html-data'],
+      ['D', 'data-y', 1, 30, 'html-data'],
+    ]);
+  });
+
+  it('references custom elements', function() {
+    assert.deepEqual(tagsOf('<user-card><font-face></font-face><p-2></user-card>'), [
+      ['R', 'user-card', 1, 2, 'custom-element'],
+      ['R', 'p-2', 1, 36, 'custom-element'],
+    ]);
+  });
+
+  it('references ids by attributes', function() {
+    assert.deepEqual(tagsOf([
+      '<label for="email">',
+      '<input form="f1" list="opts" aria-describedby="hint  err">',
+      '<a href="#top"><svg><use xlink:href="#icon"/></svg></a>',
+      '<td headers="h1 h2"><div for="x" list="y" href="page.html#z">',
+    ].join('\n')), [
+      ['R', 'email', 1, 13, 'html-id'],
+      ['R', 'f1', 2, 14, 'html-id'],
+      ['R', 'opts', 2, 24, 'html-id'],
+      ['R', 'hint', 2, 48, 'html-id'],
+      ['R', 'err', 2, 54, 'html-id'],
+      ['R', 'top', 3, 11, 'html-id'],
+      ['R', 'icon', 3, 39, 'html-id'],
+      ['R', 'h1', 4, 14, 'html-id'],
+      ['R', 'h2', 4, 17, 'html-id'],
+    ]);
+  });
+
+  it('tags scripts at lines and columns of HTML', function() {
+    const src = [
+      '<script>foo();',
+      '',
+      '  bar();</script><script>',
+      'baz()',
+    ].join('\n');
+    assert.deepEqual(tagHTML(src, 'a.html').map(({name, line, column, ref}) =>
+      [name, line, column, ref]), [
+      ['foo', 1, 9, '<script>foo();'],
+      ['bar', 3, 3, '  bar();</script><script>'],
+      ['baz', 4, 1, 'baz()'],
+    ]);
+  });
+
+  it('tags event handlers and javascript: URLs as JavaScript', function() {
+    const src = [
+      '<button onclick="if (a &amp;&amp; b) save(event); return false;"',
+      '  onLoad=init()><a href="javascript:toggle(&quot;x&quot;, y)">',
+    ].join('\n');
+    const diagnostics = [];
+    const tags = tagHTML(src, 'a.html', 0, 0, {diagnostics, locals: 'skip'});
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(tags.map(({name, line, column}) => [name, line, column]), [
+      ['a', 1, 22],
+      ['b', 1, 35],
+      ['save', 1, 38],
+      ['init', 2, 10],
+      ['toggle', 2, 37],
+      ['y', 2, 59],
+    ]);
+  });
+
+  it('drops tags of wrappers of event handlers', function() {
+    const tagsIn = aSource => tagHTML(aSource, 'a.html', 0, 0, {locals: 'scope'})
+      .map(({type, name, line, column, ref}) => [type, name, line, column, ref]);
+    const button = '<button onclick="saveForm(event)">';
+    assert.deepEqual(tagsIn(`<p>x</p>\n${button}`), [
+      ['R', 'saveForm', 2, 18, button],
+      ['R', 'event', 2, 27, button],
+    ]);
+    assert.deepEqual(tagsIn(button), [
+      ['R', 'saveForm', 1, 18, button],
+      ['R', 'event', 1, 27, button],
+    ]);
+  });
+
+  it('applies column offset to the first line only', function() {
+    assert.deepEqual(tagsOf('<b id="x"><script>foo()\nbar()</script>', 10, 4), [
+      ['D', 'x', 11, 12, 'html-id'],
+      ['R', 'foo', 11, 23, 'reference'],
+      ['R', 'bar', 12, 1, 'reference'],
+    ]);
+  });
+});
@@ -14,12 +14,65 @@ describe('tagJavaScript', function() {
     assert.throws(() => tagJavaScript(dummySrc, ''));
     assert.doesNotThrow(() => tagJavaScript(dummySrc, dummyPath));
   });
+
+  it('takes selector APIs of options', function() {
+    const selectorsOf = aSelectors => tagJavaScript(
+      'find(".foo"); ui.byId("bar");', 'a.js', 0, 0, {selectors: aSelectors})
+      .filter(({kind}) => kind !== 'reference')
+      .map(({name, column, kind}) => [name, column, kind]);
+    assert.deepEqual(selectorsOf(), []);
+    assert.deepEqual(selectorsOf({find: 'css-selector', 'ui.byId': 'html-id'}), [
+      ['foo', 8, 'css-selector'],
+      ['bar', 24, 'html-id'],
+    ]);
+    assert.deepEqual(selectorsOf('find,byId:html-id'), [
+      ['foo', 8, 'css-selector'],
+      ['bar', 24, 'html-id'],
+    ]);
+  });
+
+  it('takes event emitters and listeners of options', function() {
+    const eventsOf = aOptions => tagJavaScript(
+      'bus.fire("saved"); bus.subscribe("saved", f);', 'a.js', 0, 0, aOptions)
+      .filter(({kind}) => kind === 'event')
+      .map(({type, name, column}) => [type, name, column]);
+    assert.deepEqual(eventsOf(), []);
+    assert.deepEqual(eventsOf({emitters: 'fire', listeners: ['subscribe']}), [
+      ['D', 'saved', 11],
+      ['R', 'saved', 35],
+    ]);
+  });
+
+  it('explains how identifiers of options.explain are tagged', function() {
+    const explain = aName => {
+      const diagnostics = [];
+      tagJavaScript([
+        'const path = require("path");',
+        'for (let i = 0; i < 9; i++) path.join(i);',
+        'with (path) { i; }',
+      ].join('\n'), 'a.js', 0, 0, {explain: aName, diagnostics});
+      return diagnostics.filter(({code}) => code === 'explain')
+        .map(({line, column, rule, reasons}) => [line, column, rule, reasons]);
+    };
+    assert.deepEqual(explain('path:1'), [
+      [1, 7, 'VariableDeclarator.id', ['require heuristic']],
+    ]);
+    assert.deepEqual(explain('i'), [
+      [2, 10, 'VariableDeclarator.id', ['ForStatement internals']],
+      [2, 17, 'BinaryExpression.left', ['ForStatement internals']],
+      [2, 24, 'UpdateExpression.argument', ['ForStatement internals']],
+      [2, 39, 'CallExpression.arguments', []],
+      [3, 15, 'ExpressionStatement.expression', []],
+    ]);
+    assert.deepEqual(explain('path:3'), [[3, 7, 'WithStatement.object', []]]);
+    assert.deepEqual(explain('nothing'), []);
+  });
 });
 
 describe('js-parser extract expected tags from', function() {
   const sampleDir = 'test/samples';
   fs.readdirSync(sampleDir)
-    .filter(f => f.endsWith('.js'))
+    .filter(f => /\.(jsx?|tsx?)$/.test(f))
     .forEach(f => it(path.basename(f), testTagExtraction(`${sampleDir}/${f}`)));
 
   function testTagExtraction(aSrcFile) {
@@ -31,3 +84,18 @@ describe('js-parser extract expected tags from', function() {
     };
   }
 });
+
+describe('Parser backends extract the same tags as esprima from', function() {
+  const sampleDir = 'test/samples';
+  const samples = fs.readdirSync(sampleDir)
+    .filter(f => f.endsWith('.js'))
+    .filter(f => f !== '030.ModernSyntax.js');   // beyond esprima
+
+  ['acorn', 'typescript'].forEach(parser => describe(parser, function() {
+    samples.forEach(f => it(f, async function() {
+      const srcFile = `${sampleDir}/${f}`;
+      assert.deepEqual(await tagJavaScriptFile(srcFile, {parser}),
+        await tagJavaScriptFile(srcFile, {parser: 'esprima'}));
+    }));
+  }));
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('assert');
+
+const {tagMarkdown, languageOf} = require('..');
+
+describe('markdown-parser', function() {
+  function tagsOf(aSource, aOptions) {
+    return tagMarkdown(aSource, 'a.md', 0, 0, aOptions)
+      .map(({type, name, line, column, kind}) => [type, name, line, column, kind]);
+  }
+
+  it('guesses the language of documents', function() {
+    assert.equal(languageOf('README.md'), 'markdown');
+    assert.equal(languageOf('doc/a.markdown'), 'markdown');
+  });
+
+  it('tags fenced code blocks at their lines', function() {
+    assert.deepEqual(tagsOf([
+      'Call `foo`:',
+      '```javascript',
+      '  foo(bar);',
+      '```',
+      '~~~css',
+      '.btn {}',
+      '~~~',
+      '```',
+      'skipped();',
+      '```',
+    ].join('\n')), [
+      ['R', 'foo', 3, 3, 'reference'],
+      ['R', 'bar', 3, 7, 'reference'],
+      ['D', 'btn', 6, 2, 'css-class'],
+    ]);
+  });
+
+  it('tags indented code blocks of hinted or given language', function() {
+    const source = [
+      'Text',
+      '',
+      '    foo();',
+      '',
+      '<!-- language: lang-html -->',
+      '',
+      '    <p id="bar"></p>',
+      '',
+      '- item',
+      '',
+      '      notCode();',
+    ].join('\n');
+    assert.deepEqual(tagsOf(source), [
+      ['D', 'bar', 7, 12, 'html-id'],
+    ]);
+    assert.deepEqual(tagsOf(source, {codelang: 'js'}), [
+      ['R', 'foo', 3, 5, 'reference'],
+      ['D', 'bar', 7, 12, 'html-id'],
+    ]);
+  });
+
+  it('defines anchors of headings and references links to them', function() {
+    assert.deepEqual(tagsOf([
+      '# Getting Started!',
+      'See [API](#api-v2), [more](other.md#usage) and `[no](#code)`.',
+      'API v2',
+      '======',
+      '## API v2 ##',
+      '[label]: #getting-started',
+    ].join('\n')), [
+      ['D', 'getting-started', 1, 3, 'anchor'],
+      ['R', 'api-v2', 2, 12, 'anchor'],
+      ['R', 'usage', 2, 37, 'anchor'],
+      ['D', 'api-v2', 3, 1, 'anchor'],
+      ['D', 'api-v2-1', 5, 4, 'anchor'],
+      ['R', 'getting-started', 6, 11, 'anchor'],
+    ]);
+  });
+
+  it('keeps non-ASCII letters and numbers in anchors', function() {
+    assert.deepEqual(tagsOf([
+      '# Über uns',
+      '## 設定 ２',
+      'See [it](#über-uns) and [settings](#設定-２).',
+    ].join('\n')), [
+      ['D', 'über-uns', 1, 3, 'anchor'],
+      ['D', '設定-２', 2, 4, 'anchor'],
+      ['R', 'über-uns', 3, 11, 'anchor'],
+      ['R', '設定-２', 3, 37, 'anchor'],
+    ]);
+  });
+});
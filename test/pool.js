@@ -0,0 +1,49 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {tagFiles} = require('../pool.js');
+
+describe('Worker pool', function() {
+  const sampleDir = 'test/samples';
+  const samples = fs.readdirSync(sampleDir)
+    .filter(f => f.endsWith('.js'))
+    .map(f => `${sampleDir}/${f}`);
+  const tagger = {
+    module: require.resolve('../js-parser.js'),
+    method: 'tagJavaScriptFile',
+    options: {},
+  };
+
+  async function tag(aFiles, aJobs) {
+    const results = [];
+    await tagFiles(aFiles, tagger, aJobs, r => results.push(r));
+    return results;
+  }
+
+  it('reports tags in the order of given files', async function() {
+    this.timeout(10000);
+    const serial = await tag(samples, 1);
+    const parallel = await tag(samples, 3);
+    assert.deepEqual(serial.map(({path}) => path), samples);
+    assert.deepEqual(parallel, serial);
+  });
+
+  it('reports errors of workers with their class', async function() {
+    this.timeout(10000);
+    const emptyFile = path.join(os.tmpdir(), 'gtags-parsers-empty.js');
+    fs.writeFileSync(emptyFile, '');
+    try {
+      const [first, empty, last] =
+        await tag([samples[0], emptyFile, samples[1]], 2);
+      assert.ok(first.result.length);
+      assert.ok(empty.error instanceof TypeError);
+      assert.ok(last.result.length);
+    } finally {
+      fs.unlinkSync(emptyFile);
+    }
+  });
+});
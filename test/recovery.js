@@ -0,0 +1,47 @@
+'use strict';
+
+const assert = require('assert');
+
+const {tagJavaScript} = require('..');
+
+describe('Syntax error', function() {
+  function tag(aSourceCodes) {
+    const diagnostics = [];
+    const tags = tagJavaScript(aSourceCodes, 'foo.js', 0, 0, {diagnostics});
+    return {
+      tags: tags.map(({type, name, line}) => `${type},${name},${line}`),
+      diagnostics,
+    };
+  }
+
+  it('is reported as a diagnostic', function() {
+    const {diagnostics: [error]} = tag('const x = = 1;');
+    assert.strictEqual(error.severity, 'error');
+    assert.strictEqual(error.path, 'foo.js');
+    assert.strictEqual(error.line, 1);
+    assert.strictEqual(error.column, 11);
+  });
+
+  it('skips the broken line and tags its identifiers as references',
+    function() {
+      const {tags, diagnostics} = tag([
+        'function before() {}',
+        'const x = = broken(a);',
+        'function after() {}',
+      ].join('\n'));
+      assert.deepEqual(tags, [
+        'D,before,1', 'D,after,3', 'R,x,2', 'R,broken,2', 'R,a,2',
+      ]);
+      assert.deepEqual(diagnostics.map(({severity}) => severity),
+        ['error', 'warning']);
+    });
+
+  it('falls back to tagging every identifier as a reference', function() {
+    const {tags} = tag([
+      'function before() {',
+      '  const s = "unterminated',
+      'let y = z;',
+    ].join('\n'));
+    assert.deepEqual(tags, ['R,before,1', 'R,s,2', 'R,y,3', 'R,z,3']);
+  });
+});
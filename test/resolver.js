@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {resolveModule, exportsOf} = require('../resolver.js');
+const {tagJavaScript} = require('..');
+const {makeTempDir, removeTempDir} = require('./helpers/tmpdir.js');
+
+describe('Module resolver', function() {
+  const files = {
+    'main.js': [
+      'import {parse as p, VERSION} from "./lib";',
+      'import Widget from "./widget.js";',
+      'import * as all from "./lib/index.js";',
+      'const fsx = require("fs-extra");',
+      'const fs = require("fs");',
+      'const gone = require("./missing");',
+      'export {Widget as Base} from "./widget";',
+      'export * from "./lib";',
+    ].join('\n'),
+    'lib/index.js': 'export {parse} from "./parser";\nexport const VERSION = 1;',
+    'lib/parser.js': 'exports.parse = function() {};',
+    'widget.js': 'export default class Widget {}',
+    'node_modules/fs-extra/package.json':
+      JSON.stringify({exports: {'.': {require: './lib/index.js'}, './util/*': './lib/*.js'}}),
+    'node_modules/fs-extra/lib/index.js': 'module.exports = {copy};',
+    'node_modules/fs-extra/lib/copy.js': '',
+    'node_modules/@scope/pkg/package.json': JSON.stringify({main: 'main'}),
+    'node_modules/@scope/pkg/main.js': '',
+  };
+  let root;
+
+  before(function() {
+    root = makeTempDir();
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(root, file)), {recursive: true});
+      fs.writeFileSync(path.join(root, file), content);
+    }
+  });
+
+  after(function() {
+    removeTempDir(root);
+  });
+
+  it('resolves relative paths, packages and built-in modules', function() {
+    const from = path.join(root, 'main.js');
+    const resolve = aSpecifier => {
+      const resolved = resolveModule(aSpecifier, from);
+      return resolved && !resolved.startsWith('node:') ?
+        path.relative(root, resolved) : resolved;
+    };
+    assert.strictEqual(resolve('./lib'), path.normalize('lib/index.js'));
+    assert.strictEqual(resolve('./widget'), 'widget.js');
+    assert.strictEqual(resolve('fs-extra'), path.normalize('node_modules/fs-extra/lib/index.js'));
+    assert.strictEqual(resolve('fs-extra/util/copy'), path.normalize('node_modules/fs-extra/lib/copy.js'));
+    assert.strictEqual(resolve('@scope/pkg'), path.normalize('node_modules/@scope/pkg/main.js'));
+    assert.strictEqual(resolve('node:path'), 'node:path');
+    assert.strictEqual(resolve('fs'), 'node:fs');
+    assert.strictEqual(resolve('./missing'), null);
+    assert.strictEqual(resolve('missing'), null);
+  });
+
+  it('follows re-exports to where names are defined', function() {
+    const exported = exportsOf(path.join(root, 'lib/index.js'));
+    assert.deepEqual(exported.get('parse'), {name: 'parse', path: path.join(root, 'lib/parser.js')});
+    assert.deepEqual(exported.get('VERSION'), {name: 'VERSION', path: path.join(root, 'lib/index.js')});
+    assert.deepEqual(exportsOf(path.join(root, 'widget.js')).get('default').name, 'Widget');
+  });
+
+  it('tags imported bindings as references to what modules export', function() {
+    const file = path.join(root, 'main.js');
+    const tags = tagJavaScript(files['main.js'], file, 0, 0, {resolve: true})
+      .map(({type, name, line, kind, alias, module}) =>
+        [type, name, line, kind, alias, module && !module.startsWith('node:') ?
+          path.relative(root, module) : module]);
+    assert.deepEqual(tags, [
+      ['D', 'p', 1, 'import', 'parse', path.normalize('lib/parser.js')],
+      ['R', 'parse', 1, 'import', undefined, path.normalize('lib/parser.js')],
+      ['R', 'VERSION', 1, 'import', undefined, path.normalize('lib/index.js')],
+      ['R', 'Widget', 2, 'import', undefined, 'widget.js'],
+      ['R', 'all', 3, 'import', undefined, path.normalize('lib/index.js')],
+      ['R', 'fsx', 4, 'import', undefined, path.normalize('node_modules/fs-extra/lib/index.js')],
+      ['R', 'require', 4, 'reference', undefined, undefined],
+      ['R', 'fs', 5, 'import', undefined, 'node:fs'],
+      ['R', 'require', 5, 'reference', undefined, undefined],
+      ['D', 'gone', 6, 'constant', undefined, undefined],
+      ['R', 'require', 6, 'reference', undefined, undefined],
+      ['D', 'Base', 7, 'export', 'Widget', 'widget.js'],
+      ['R', 'Widget', 7, 'import', undefined, 'widget.js'],
+      ['D', 'parse', 8, 'export', 'parse', path.normalize('lib/parser.js')],
+      ['D', 'VERSION', 8, 'export', 'VERSION', path.normalize('lib/index.js')],
+    ]);
+  });
+
+  it('leaves imports alone unless enabled', function() {
+    const tags = tagJavaScript(files['main.js'], path.join(root, 'main.js'));
+    assert.ok(tags.some(({type, name}) => type === 'D' && name === 'fsx'));
+    assert.ok(tags.every(({module}) => module === undefined));
+  });
+});
@@ -16,3 +16,12 @@ document.querySelectorAll(`${classes}`);
 document.getElementById("id-a");
 document.getElementsByClassName("class-a class-b");
 document.getElementsByName("name-a");
+
+$(".class-a > #id-a");
+jQuery("#id-b").addClass("class-c class-d");
+el.closest(`div.class-e ${tag}.class-f`).matches(".class-g");
+el.classList.add("class-h", "class-i");
+el.classList.toggle("class-j", true);
+el.className = "class-k class-l";
+el.id = "id-c";
+el.dataset.fooBar = el.dataset["baz"];
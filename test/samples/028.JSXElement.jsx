@@ -0,0 +1,7 @@
+'use strict';
+const App = () => (
+  <Layout.Main title={title} {...rest}>
+    <Button onClick={save}/>
+    <span>{count}</span>
+  </Layout.Main>
+);
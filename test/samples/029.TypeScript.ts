@@ -0,0 +1,9 @@
+'use strict';
+interface Shape extends Base { area(): number; }
+type Id = string | Ref.Key;
+enum Color { Red, Green }
+namespace util { export function fmt(s: Shape): Id { return s.id as Id; } }
+abstract class Figure implements Shape {
+  abstract draw(ctx: Canvas): void;
+  abstract size: number;
+}
@@ -0,0 +1,12 @@
+'use strict';
+const config = await import(configPath);
+class Counter {
+  #count = 0;
+  static instances = 0;
+  label = DEFAULT_LABEL ?? 'counter';
+  static { Counter.instances = 1_000; }
+  #increase() { return ++this.#count; }
+  has(obj) { return #count in obj; }
+}
+const value = options?.deep?.[key] ?? fallback;
+console.log(import.meta.url);
@@ -0,0 +1,21 @@
+'use strict';
+
+function Parser(aOptions) {
+  this.options = aOptions;
+  this.handler = function(aEvent) { return aEvent; };
+}
+
+Parser.prototype.parse = function(aSource) {
+  this.cache = aSource;
+};
+
+Object.defineProperty(Parser.prototype, 'ready', {get: () => true});
+
+class Lexer {
+  constructor() { this.tokens = []; }
+  reset() { this.tokens = []; }
+}
+
+module.exports.parse = function(aSource) { return new Parser().parse(aSource); };
+exports.VERSION = '1.0';
+module.exports = {Parser, Lexer, tokenize: parse};
@@ -0,0 +1,16 @@
+class Cart {
+  update() {
+    this.dispatchEvent(new CustomEvent('cart:updated', {detail: this.items}));
+  }
+}
+
+const cart = document.querySelector('x-cart');
+cart.addEventListener('cart:updated', render);
+cart.removeEventListener(`cart:updated`, render);
+
+const emitter = new EventEmitter();
+emitter.on('ready', start);
+emitter.once('ready', start);
+emitter.emit('ready', 1);
+window.dispatchEvent(new Event('resize'));
+emitter.on(eventName, start);
@@ -0,0 +1,8 @@
+class UserCard {
+}
+customElements.define('user-card', UserCard);
+window.customElements.define("user-list", class UserList {});
+customElements.whenDefined('user-card').then(show);
+
+const card = document.createElement('user-card');
+const div = document.createElement('div');
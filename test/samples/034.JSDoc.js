@@ -0,0 +1,24 @@
+/**
+ * @typedef {Object} Options
+ * @property {string} name
+ * @property {Array<Item>} [items] - see {@link Item#render|render}
+ * @property {{size: number, unit: Unit}} box
+ */
+
+/**
+ * @callback Handler
+ * @param {Event} event
+ * @returns {boolean|Promise.<Result>}
+ */
+
+/** @namespace util.format */
+/** @event Cart#changed */
+
+/**
+ * @param {Options} aOptions
+ * @param {function(string, 'a'|"b"): Node} aFactory
+ * @type {import('./x').Widget}
+ */
+function create(aOptions, aFactory) {
+  return aFactory(aOptions.name); // {Foo} in line comments is nothing
+}
@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require('assert');
+
+const {tagJavaScript} = require('..');
+
+describe('Local bindings', function() {
+  const src = [
+    'const result = 1;',
+    'function outer(a) {',
+    '  const result = a;',
+    '  for (let i = 0; i < 3; ++i) { result(i); }',
+    '  try { run(); } catch (e) { log(e); }',
+    '}',
+    'class Widget { render(x) { let y = x; return y; } }',
+  ].join('\n');
+
+  function tagsNamed(aName, aLocals) {
+    return tagJavaScript(src, 'foo.js', 0, 0, {locals: aLocals})
+      .filter(({name}) => name === aName);
+  }
+
+  it('are tagged like file-level symbols by default', function() {
+    const resultTags = tagsNamed('result');
+    assert.deepEqual(resultTags.map(({type, line}) => [type, line]),
+      [['D', 1], ['D', 3], ['R', 4]]);
+  });
+
+  it('are not tagged with locals "skip"', function() {
+    const resultTags = tagsNamed('result', 'skip');
+    assert.deepEqual(resultTags.map(({type, line}) => [type, line]), [['D', 1]]);
+    assert.strictEqual(tagsNamed('e', 'skip').length, 0);
+    assert.strictEqual(tagsNamed('y', 'skip').length, 0);
+    assert.strictEqual(tagsNamed('run', 'skip').length, 1);
+  });
+
+  it('are tagged with their scope with locals "scope"', function() {
+    const resultTags = tagsNamed('result', 'scope');
+    assert.deepEqual(resultTags.map(({type, line, scope}) => [type, line, scope]),
+      [['D', 1, undefined], ['D', 3, 'outer'], ['R', 4, 'outer']]);
+
+    const paramTags = tagsNamed('a', 'scope');
+    assert.deepEqual(paramTags.map(({type, scope}) => [type, scope]),
+      [['D', 'outer'], ['R', 'outer']]);
+
+    const catchTags = tagsNamed('e', 'scope');
+    assert.deepEqual(catchTags.map(({type}) => type), ['D', 'R']);
+
+    const [yDef] = tagsNamed('y', 'scope');
+    assert.strictEqual(yDef.scope, 'Widget.prototype.render');
+  });
+});
+
+describe('Tag kinds and scopes', function() {
+  const src = [
+    'import {readFile as read} from "fs";',
+    'const LIMIT = 3;',
+    'let count = 0;',
+    'function run(a) { loop: for (;;) { break loop; } }',
+    'class Widget {',
+    '  get size() { return LIMIT; }',
+    '  render(x) { return x; }',
+    '  static create() {}',
+    '}',
+    'const ns = { util: { format() {}, fmt: () => {} } };',
+    'document.querySelector("#main");',
+  ].join('\n');
+  const tags = tagJavaScript(src, 'foo.js', 0, 0, {locals: 'scope'});
+
+  function tagOf(aName, aType = 'D') {
+    const tag = tags.find(({name, type}) => name === aName && type === aType);
+    const {kind, scope, scopeKind} = tag;
+    return {kind, scope, scopeKind};
+  }
+
+  it('tell what definitions name', function() {
+    assert.strictEqual(tagOf('read').kind, 'import');
+    assert.strictEqual(tagOf('LIMIT').kind, 'constant');
+    assert.strictEqual(tagOf('count').kind, 'variable');
+    assert.strictEqual(tagOf('run').kind, 'function');
+    assert.strictEqual(tagOf('a').kind, 'parameter');
+    assert.strictEqual(tagOf('loop').kind, 'label');
+    assert.strictEqual(tagOf('Widget').kind, 'class');
+    assert.strictEqual(tagOf('size').kind, 'getter');
+    assert.strictEqual(tagOf('render').kind, 'method');
+    assert.strictEqual(tagOf('fmt').kind, 'function');
+  });
+
+  it('are reference for references', function() {
+    assert.strictEqual(tagOf('LIMIT', 'R').kind, 'reference');
+    assert.strictEqual(tagOf('main', 'R').kind, 'css-selector');
+  });
+
+  it('are qualified by enclosing classes, functions and objects', function() {
+    assert.deepEqual(tagOf('render'),
+      {kind: 'method', scope: 'Widget.prototype', scopeKind: 'class'});
+    assert.deepEqual(tagOf('create'),
+      {kind: 'method', scope: 'Widget', scopeKind: 'class'});
+    assert.deepEqual(tagOf('x'),
+      {kind: 'parameter', scope: 'Widget.prototype.render', scopeKind: 'method'});
+    assert.deepEqual(tagOf('format'),
+      {kind: 'method', scope: 'ns.util', scopeKind: 'object'});
+    assert.deepEqual(tagOf('LIMIT', 'R'),
+      {kind: 'reference', scope: 'Widget.prototype.size', scopeKind: 'method'});
+    assert.deepEqual(tagOf('LIMIT'),
+      {kind: 'constant', scope: undefined, scopeKind: undefined});
+  });
+
+  it('qualify types of signatures of functions by them', function() {
+    const typeTags = tagJavaScript('function pick<T extends Key>(a: T): Item<T> {}',
+      'foo.ts', 0, 0, {locals: 'scope'});
+    assert.deepEqual(typeTags.filter(({name}) => name !== 'T')
+      .map(({type, name, scope}) => [type, name, scope]), [
+      ['D', 'pick', undefined],
+      ['D', 'a', 'pick'],
+      ['R', 'Item', 'pick'],
+      ['R', 'Key', 'pick'],
+    ]);
+  });
+});
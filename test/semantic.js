@@ -35,5 +35,17 @@ describe('Node.js', function() {
       assert.strictEqual(fooTags.length, 1);
       assert.strictEqual(fooTags[0].type, 'D');
     });
+
+    it('is define when require has no string argument', function() {
+      const src = 'const foo = require();\nconst bar = require(1);\nconst baz = require(`baz`);';
+      for (const options of [{}, {resolve: true}]) {
+        const diagnostics = [];
+        const tags = tagJavaScript(src, 'foo.js', 0, 0,
+          Object.assign({diagnostics}, options));
+        assert.deepEqual(tags.filter(({name}) => name !== 'require')
+          .map(({type, name}) => `${type},${name}`), ['D,foo', 'D,bar', 'R,baz']);
+        assert.deepEqual(diagnostics, []);
+      }
+    });
   });
 });
@@ -0,0 +1,124 @@
+'use strict';
+
+const assert = require('assert');
+
+const {tagSFC, languageOf} = require('..');
+
+describe('sfc-parser', function() {
+  function tagsOf(aSource, aPath) {
+    return tagSFC(aSource, aPath)
+      .map(({type, name, line, column, kind}) => [type, name, line, column, kind]);
+  }
+
+  it('guesses languages of components', function() {
+    assert.equal(languageOf('a/Foo.vue'), 'vue');
+    assert.equal(languageOf('a/Foo.svelte'), 'svelte');
+  });
+
+  describe('vue', function() {
+    it('references components and expressions of templates', function() {
+      assert.deepEqual(tagsOf([
+        '<template>',
+        '  <UserCard v-for="(user, i) in users" :user="user" @select="pick($event)"/>',
+        '  <user-list v-if="total &gt; 0" #item="{ id }">{{ total }}</user-list>',
+        '  <KeepAlive><input v-model="query" id="q"></KeepAlive>',
+        '</template>',
+      ].join('\n'), 'List.vue'), [
+        ['R', 'UserCard', 2, 4, 'component'],
+        ['R', 'users', 2, 33, 'reference'],
+        ['R', 'user', 2, 47, 'reference'],
+        ['R', 'pick', 2, 62, 'reference'],
+        ['R', '$event', 2, 67, 'reference'],
+        ['R', 'UserList', 3, 4, 'component'],
+        ['R', 'total', 3, 20, 'reference'],
+        ['R', 'total', 3, 52, 'reference'],
+        ['R', 'query', 4, 30, 'reference'],
+        ['D', 'q', 4, 41, 'html-id'],
+      ]);
+    });
+
+    it('drops tags of the wrapper of event handlers', function() {
+      const button = '  <button @click="save($event)">Save</button>';
+      assert.deepEqual(tagSFC(['<template>', button, '</template>'].join('\n'),
+        'Form.vue', 0, 0, {locals: 'scope'})
+        .map(({type, name, line, column, ref}) => [type, name, line, column, ref]), [
+        ['R', 'save', 2, 19, button],
+        ['R', '$event', 2, 24, button],
+      ]);
+    });
+
+    it('defines members of component options', function() {
+      const tags = tagSFC([
+        '<script lang="ts">',
+        'export default defineComponent({',
+        '  props: [\'title\'],',
+        '  data: () => ({ total: 0 }),',
+        '  computed: { count(): number { return this.total; } },',
+        '  methods: { submit() {} },',
+        '});',
+        '</script>',
+        '<style lang="scss">.card { color: $red; }</style>',
+      ].join('\n'), 'List.vue');
+      assert.deepEqual(tags.filter(({type}) => type === 'D')
+        .map(({name, line, column, kind, scope}) => [name, line, column, kind, scope]), [
+        ['total', 4, 18, 'field', 'List'],
+        ['count', 5, 15, 'property', 'List'],
+        ['submit', 6, 14, 'method', 'List'],
+        ['title', 3, 12, 'property', 'List'],
+        ['card', 9, 21, 'css-class', undefined],
+      ]);
+    });
+
+    it('skips scripts and styles of unknown languages', function() {
+      assert.deepEqual(tagsOf([
+        '<script lang="coffee">alert {{ x }}</script>',
+        '<style lang="stylus">.a {{ y }}</style>',
+        '<p>{{ z }}</p>',
+      ].join('\n'), 'Card.vue'), [
+        ['R', 'z', 3, 7, 'reference'],
+      ]);
+    });
+
+    it('defines props of defineProps()', function() {
+      assert.deepEqual(tagsOf([
+        '<script setup>',
+        'const props = defineProps({ title: String });',
+        '</script>',
+      ].join('\n'), 'Card.vue').filter(([type]) => type === 'D'), [
+        ['D', 'props', 2, 7, 'constant'],
+        ['D', 'title', 2, 29, 'property'],
+      ]);
+    });
+  });
+
+  describe('svelte', function() {
+    it('references components and expressions of markup', function() {
+      assert.deepEqual(tagsOf([
+        '<h1 class="title {extra}">Hi {name}!</h1>',
+        '<input bind:value={name} on:input={() => save(name)} use:tooltip {...rest}>',
+        '{#each items as item (item.id)}',
+        '  <Card title={item.title} class:active />',
+        '{:else if fallback}',
+        '  {@const total = sum(items)}',
+        '{/each}',
+      ].join('\n'), 'App.svelte'), [
+        ['R', 'extra', 1, 19, 'reference'],
+        ['R', 'name', 1, 31, 'reference'],
+        ['R', 'name', 2, 20, 'reference'],
+        ['R', 'save', 2, 42, 'reference'],
+        ['R', 'name', 2, 47, 'reference'],
+        ['R', 'tooltip', 2, 58, 'reference'],
+        ['R', 'rest', 2, 70, 'reference'],
+        ['R', 'items', 3, 8, 'reference'],
+        ['R', 'Card', 4, 4, 'component'],
+        ['R', 'item', 4, 16, 'reference'],
+        ['R', 'title', 4, 21, 'reference'],
+        ['R', 'active', 4, 34, 'reference'],
+        ['R', 'fallback', 5, 11, 'reference'],
+        ['D', 'total', 6, 11, 'constant'],
+        ['R', 'sum', 6, 19, 'reference'],
+        ['R', 'items', 6, 23, 'reference'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {decodeMappings} = require('../sourcemap.js');
+const {tag} = require('..');
+const {makeTempDir, removeTempDir} = require('./helpers/tmpdir.js');
+
+describe('Source map', function() {
+  // Mappings of a generated line from segments of absolute numbers
+  function encodeMappings(aSegments) {
+    const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const previous = [0, 0, 0, 0, 0];
+    return aSegments.map(segment => segment.map((value, i) => {
+      let vlq = value - previous[i] < 0 ?
+        (previous[i] - value) * 2 + 1 : (value - previous[i]) * 2;
+      previous[i] = value;
+      let digits = '';
+      do {
+        digits += BASE64[(vlq & 31) | (vlq > 31 ? 32 : 0)];
+        vlq >>= 5;
+      } while (vlq);
+      return digits;
+    }).join('')).join(',');
+  }
+
+  const original = [
+    'export function addNumbers(first, second) {',
+    '  return first + second;',
+    '}',
+  ].join('\n');
+  const bundle = 'export function a(b,c){return b+c}';
+  const map = {
+    version: 3,
+    sources: ['../src/math.js'],
+    names: ['addNumbers', 'first', 'second'],
+    mappings: encodeMappings([
+      [0, 0, 0, 0], [16, 0, 0, 16, 0], [18, 0, 0, 27, 1], [20, 0, 0, 34, 2],
+      [23, 0, 1, 2], [30, 0, 1, 9, 1], [32, 0, 1, 17, 2],
+    ]),
+  };
+  const summaryOf = ({type, name, path, line, column}) =>
+    `${type},${name},${path},${line}:${column}`;
+
+  it('decodes base64 VLQ mappings', function() {
+    assert.deepEqual(decodeMappings('AAgBC,SAAD;;AACA'), [
+      [[0, 0, 16, 1, -1], [9, 0, 16, 0, -1]],
+      [],
+      [[0, 0, 17, 0, -1]],
+    ]);
+    assert.deepEqual(decodeMappings('E,FAAAA')[0], [[0, 0, 0, 0, 0], [2]]);
+    assert.throws(() => decodeMappings('A!'), SyntaxError);
+  });
+
+  it('maps tags to sources of inline maps', function() {
+    const data = Buffer.from(JSON.stringify(Object.assign({
+      sourcesContent: [original],
+    }, map))).toString('base64');
+    const {tags} = tag(`${bundle}\n//# sourceMappingURL=data:application/json;base64,${data}`,
+      {path: 'dist/math.min.js'});
+    assert.deepEqual(tags.map(summaryOf), [
+      'D,addNumbers,src/math.js,1:17',
+      'R,first,src/math.js,2:10',
+      'R,second,src/math.js,2:18',
+    ]);
+    assert.equal(tags[2].ref, '  return first + second;');
+  });
+
+  describe('of files', function() {
+    let root;
+    const bundlePath = () => path.join(root, 'dist/math.min.js');
+    const tagBundle = aMap => {
+      fs.writeFileSync(path.join(root, 'dist/math.min.js.map'), aMap);
+      return tag(`${bundle}\n//# sourceMappingURL=math.min.js.map\n`,
+        {path: bundlePath()});
+    };
+
+    beforeEach(function() {
+      root = makeTempDir();
+      fs.mkdirSync(path.join(root, 'dist'));
+    });
+
+    afterEach(function() {
+      removeTempDir(root);
+    });
+
+    it('renames tags but keeps positions without original sources', function() {
+      const {tags} = tagBundle(JSON.stringify(map));
+      assert.deepEqual(tags.map(summaryOf).slice(0, 2), [
+        `D,addNumbers,${bundlePath()},1:17`,
+        `R,first,${bundlePath()},1:31`,
+      ]);
+      assert.equal(tags[0].ref, bundle);
+    });
+
+    it('reads original sources next to the map', function() {
+      fs.mkdirSync(path.join(root, 'src'));
+      fs.writeFileSync(path.join(root, 'src/math.js'), original);
+      const {tags} = tagBundle(JSON.stringify(map));
+      assert.deepEqual(tags.map(summaryOf).slice(0, 2), [
+        `D,addNumbers,${path.join(root, 'src/math.js')},1:17`,
+        `R,first,${path.join(root, 'src/math.js')},2:10`,
+      ]);
+    });
+
+    it('leaves scripts embedded in other files', function() {
+      fs.mkdirSync(path.join(root, 'src'));
+      fs.writeFileSync(path.join(root, 'src/math.js'), original);
+      tagBundle(JSON.stringify(map));
+      const page = path.join(root, 'dist/index.html');
+      const {tags} = tag(`<script>${bundle}\n//# sourceMappingURL=math.min.js.map\n</script>`,
+        {path: page});
+      assert.deepEqual(tags.map(summaryOf).slice(0, 2), [
+        `D,a,${page},1:25`,
+        `R,b,${page},1:39`,
+      ]);
+    });
+
+    it('reports broken maps', function() {
+      const {tags, diagnostics} = tagBundle('{"version": 2}');
+      assert.equal(tags[0].name, 'a');
+      assert.deepEqual(diagnostics.map(({severity}) => severity), ['warning']);
+    });
+  });
+});